@@ -0,0 +1,89 @@
+/**
+ * AuditController
+ * ----------------------------------------
+ * Admin access to the security audit trail.
+ *
+ * Features:
+ * - Paginated, filterable listing
+ * - CSV export with the same filters
+ * - Guarded by the audit:view permission
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { authorize } = require("../middlewares/authenticationMiddleware");
+const { validate } = require("../middlewares/validationMiddleware");
+const { auditQuerySchema, auditExportSchema } = require("../validators/validationSchemas");
+const { PERMISSIONS } = require("../services/PermissionService");
+const { queryAuditLog, exportAuditLogCsv } = require("../services/AuditService");
+
+const router = express.Router();
+
+const pickFilters = (source) => ({
+  eventType: source.eventType,
+  outcome: source.outcome,
+  principalId: source.principalId,
+  ipAddress: source.ipAddress,
+  resource: source.resource,
+  from: source.from,
+  to: source.to,
+});
+
+/**
+ * GET /audit
+ * Query: eventType, outcome, principalId, ipAddress, resource, from, to, page, pageSize
+ */
+router.get(
+  "/audit",
+  describe({ summary: "Query the audit log" }),
+  authorize(PERMISSIONS.AUDIT_VIEW),
+  validate(auditQuerySchema),
+  async (req, res, next) => {
+    try {
+      const filters = pickFilters(req.query);
+
+      const result = await queryAuditLog(filters, req.query.page, req.query.pageSize);
+
+      return res.status(200).json({
+        success: true,
+        data: result.rows,
+        pagination: {
+          page: result.page,
+          pageSize: result.pageSize,
+          total: result.total,
+        },
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * GET /audit/export
+ * Download matching entries as CSV
+ */
+router.get(
+  "/audit/export",
+  describe({ summary: "Export matching audit entries as CSV", produces: ["text/csv"] }),
+  authorize(PERMISSIONS.AUDIT_VIEW),
+  validate(auditExportSchema),
+  async (req, res, next) => {
+    try {
+      const filters = pickFilters(req.query);
+
+      const csv = await exportAuditLogCsv(filters);
+      const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+      return res.status(200).send(csv);
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
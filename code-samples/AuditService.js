@@ -0,0 +1,214 @@
+/**
+ * AuditService
+ * ----------------------------------------
+ * Append-only security audit trail.
+ *
+ * Features:
+ * - Login, OTP, authorization-denial, file-access and session-revocation events
+ * - Principal, IP, user agent and resource on every entry
+ * - Filtered, paginated queries
+ * - CSV export with spreadsheet formula neutralisation
+ *
+ * Entries live in `audit_log` (audit_id, event_type, outcome,
+ * principal_type, principal_id, ip_address, user_agent, resource,
+ * details, created_at). This module only ever inserts and reads;
+ * the application DB user should hold INSERT/SELECT grants only.
+ */
+
+const { query } = require("../dbUtils");
+const { logger } = require("../logger");
+
+const AUDIT_EVENTS = Object.freeze({
+  LOGIN: "LOGIN",
+  PASSWORD_RESET: "PASSWORD_RESET",
+  OTP_REQUEST: "OTP_REQUEST",
+  OTP_VERIFY: "OTP_VERIFY",
+  AUTHORIZATION_DENIED: "AUTHORIZATION_DENIED",
+  FILE_FETCH: "FILE_FETCH",
+  FILE_UPLOAD: "FILE_UPLOAD",
+  SUSPICIOUS_FILE_ACCESS: "SUSPICIOUS_FILE_ACCESS",
+  SESSION_REVOKE: "SESSION_REVOKE",
+  TWO_FACTOR_RESET: "TWO_FACTOR_RESET",
+});
+
+const OUTCOMES = Object.freeze({
+  SUCCESS: "SUCCESS",
+  FAILURE: "FAILURE",
+  DENIED: "DENIED",
+});
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+/**
+ * Append an audit entry. Never rejects: auditing must not break the request.
+ */
+const recordAuditEvent = async (req, { event, outcome, resource = null, principal = null, details = null }) => {
+  const actor = principal || req.principal || null;
+
+  const sql = `
+    INSERT INTO audit_log
+      (event_type, outcome, principal_type, principal_id, ip_address, user_agent, resource, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+  `;
+
+  try {
+    await query(
+      sql,
+      [
+        event,
+        outcome,
+        actor?.type || null,
+        actor?.id != null ? String(actor.id) : null,
+        req.ip || null,
+        (req.get("user-agent") || "").slice(0, 255) || null,
+        resource,
+        details ? JSON.stringify(details) : null,
+      ],
+      "Database error while writing audit log"
+    );
+  } catch (error) {
+    logger.error("Audit log write failed", { error, event });
+  }
+};
+
+/**
+ * Build a WHERE clause from supported filters
+ */
+const buildFilters = (filters) => {
+  const clauses = [];
+  const params = [];
+
+  if (filters.eventType) {
+    clauses.push("event_type = ?");
+    params.push(filters.eventType);
+  }
+
+  if (filters.outcome) {
+    clauses.push("outcome = ?");
+    params.push(filters.outcome);
+  }
+
+  if (filters.principalId) {
+    clauses.push("principal_id = ?");
+    params.push(filters.principalId);
+  }
+
+  if (filters.ipAddress) {
+    clauses.push("ip_address = ?");
+    params.push(filters.ipAddress);
+  }
+
+  if (filters.resource) {
+    clauses.push("resource LIKE ?");
+    params.push(`%${filters.resource.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  if (filters.from) {
+    clauses.push("created_at >= ?");
+    params.push(new Date(filters.from));
+  }
+
+  if (filters.to) {
+    clauses.push("created_at <= ?");
+    params.push(new Date(filters.to));
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "",
+    params,
+  };
+};
+
+/**
+ * Paginated audit query. Resolves with { rows, total, page, pageSize }.
+ */
+const queryAuditLog = async (filters = {}, page = 1, pageSize = 25) => {
+  const safePage = Math.max(Number(page) || 1, 1);
+  const safePageSize = Math.min(Math.max(Number(pageSize) || 25, 1), MAX_PAGE_SIZE);
+  const { where, params } = buildFilters(filters);
+
+  const [{ total }] = await query(
+    `SELECT COUNT(*) AS total FROM audit_log ${where}`,
+    params,
+    "Database error while counting audit entries"
+  );
+
+  const rows = await query(
+    `SELECT audit_id, event_type, outcome, principal_type, principal_id,
+            ip_address, user_agent, resource, details, created_at
+     FROM audit_log ${where}
+     ORDER BY created_at DESC, audit_id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, safePageSize, (safePage - 1) * safePageSize],
+    "Database error while reading audit entries"
+  );
+
+  return {
+    rows,
+    total: Number(total),
+    page: safePage,
+    pageSize: safePageSize,
+  };
+};
+
+const CSV_COLUMNS = [
+  "audit_id",
+  "created_at",
+  "event_type",
+  "outcome",
+  "principal_type",
+  "principal_id",
+  "ip_address",
+  "user_agent",
+  "resource",
+  "details",
+];
+
+/**
+ * Quote a CSV cell and neutralise values a spreadsheet would run as a formula
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Export matching entries (newest first, capped) as CSV text
+ */
+const exportAuditLogCsv = async (filters = {}) => {
+  const { where, params } = buildFilters(filters);
+
+  const rows = await query(
+    `SELECT ${CSV_COLUMNS.join(", ")} FROM audit_log ${where}
+     ORDER BY created_at DESC, audit_id DESC
+     LIMIT ?`,
+    [...params, MAX_EXPORT_ROWS],
+    "Database error while exporting audit entries"
+  );
+
+  const lines = [CSV_COLUMNS.join(",")];
+
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map((column) => toCsvCell(row[column])).join(","));
+  }
+
+  return lines.join("\r\n");
+};
+
+module.exports = {
+  AUDIT_EVENTS,
+  OUTCOMES,
+  recordAuditEvent,
+  queryAuditLog,
+  exportAuditLogCsv,
+};
@@ -0,0 +1,334 @@
+/**
+ * AuthController
+ * ----------------------------------------
+ * Staff login, logout and account endpoints
+ * backed by the MySQLStore session.
+ *
+ * Features:
+ * - Credential check against hashed passwords
+ * - Progressive lockout with Retry-After
+ * - Session regeneration on login (session fixation protection)
+ * - Session destruction on logout
+ * - Forced password change on first login
+ * - Password reset with a grant from a verified reset OTP
+ * - Two-factor status carried in the session
+ * - Audit entries for login success and failure
+ * - Session registry with a per-role concurrent-session cap
+ * - Typed errors forwarded to the global handler
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { validate } = require("../middlewares/validationMiddleware");
+const {
+  loginSchema,
+  changePasswordSchema,
+  passwordResetSchema,
+} = require("../validators/validationSchemas");
+const { PENDING_STEPS, isAuthenticated } = require("../middlewares/authenticationMiddleware");
+const { issueCsrfToken } = require("../middlewares/securityMiddleware");
+const {
+  getLockoutRemaining,
+  claimLoginAttempt,
+  clearFailedLogins,
+  verifyCredentials,
+  changePassword,
+  validatePasswordPolicy,
+  resetPassword,
+  findUserId,
+} = require("../services/UserService");
+const { registerSession, removeSession, revokeAllSessions } = require("../services/SessionService");
+const { verifyPasswordResetGrant, redeemPasswordResetGrant } = require("../services/TokenService");
+const { AUDIT_EVENTS, OUTCOMES, recordAuditEvent } = require("../services/AuditService");
+const {
+  ERROR_CODES,
+  AuthError,
+  ForbiddenError,
+  RateLimitError,
+  ValidationError,
+} = require("../errors");
+
+const router = express.Router();
+
+const SESSION_COOKIE = "portfolio_session";
+const ALL_PENDING_STEPS = Object.values(PENDING_STEPS);
+
+/**
+ * POST /login
+ * Authenticate a staff user and start a fresh session
+ */
+router.post(
+  "/login",
+  describe({
+    summary: "Start a staff session",
+    responses: { 401: "Invalid username or password", 429: "Account temporarily locked" },
+  }),
+  validate(loginSchema),
+  async (req, res, next) => {
+    try {
+      const { username, password } = req.body;
+
+      // Claimed before the bcrypt check, so parallel guesses stop at the threshold
+      if (!(await claimLoginAttempt(username))) {
+        const lockedFor = await getLockoutRemaining(username);
+
+        await recordAuditEvent(req, {
+          event: AUDIT_EVENTS.LOGIN,
+          outcome: OUTCOMES.DENIED,
+          principal: { type: "staff", id: await findUserId(username) },
+          details: { reason: "LOCKED_OUT", username },
+        });
+
+        throw new RateLimitError("Too many failed attempts. Please try again later", {
+          code: ERROR_CODES.ACCOUNT_LOCKED,
+          retryAfter: Math.max(lockedFor, 1),
+        });
+      }
+
+      const user = await verifyCredentials(username, password);
+
+      if (!user) {
+        // principal_id stays a user ID (NULL for unknown usernames), as on success
+        await recordAuditEvent(req, {
+          event: AUDIT_EVENTS.LOGIN,
+          outcome: OUTCOMES.FAILURE,
+          principal: { type: "staff", id: await findUserId(username) },
+          details: { reason: "INVALID_CREDENTIALS", username },
+        });
+
+        throw new AuthError("Invalid username or password", { code: ERROR_CODES.INVALID_CREDENTIALS });
+      }
+
+      await clearFailedLogins(username);
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.LOGIN,
+        outcome: OUTCOMES.SUCCESS,
+        principal: { type: "staff", id: user.user_id },
+        details: { username },
+      });
+
+      // New session ID on login so a planted pre-login cookie is useless
+      req.session.regenerate((regenerateErr) => {
+        if (regenerateErr) {
+          return next(regenerateErr);
+        }
+
+        const now = Date.now();
+
+        req.session.createdAt = now;
+        req.session.lastActivityAt = now;
+        req.session.user = {
+          user_id: user.user_id,
+          username: user.username,
+          full_name: user.full_name,
+          roles: user.roles,
+          centre_id: user.centre_id,
+          mustChangePassword: Boolean(user.must_change_password),
+          twoFactorRequired: user.twoFactorRequired,
+          twoFactorEnrolled: user.twoFactorEnrolled,
+          twoFactorVerified: false,
+        };
+
+        req.session.save(async (saveErr) => {
+          if (saveErr) {
+            return next(saveErr);
+          }
+
+          try {
+            // Signs out the oldest sessions beyond the role's limit
+            await registerSession(req, user);
+          } catch (registerErr) {
+            return next(registerErr);
+          }
+
+          // The pre-login CSRF token is bound to no session
+          const csrfToken = issueCsrfToken(req, res);
+
+          return res.status(200).json({
+            success: true,
+            message: "Login successful",
+            csrfToken,
+            mustChangePassword: req.session.user.mustChangePassword,
+            twoFactorRequired: user.twoFactorRequired,
+            twoFactorEnrolled: user.twoFactorEnrolled,
+          });
+        });
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /logout
+ * Destroy the session in MySQLStore and clear the cookie
+ */
+router.post("/logout", describe({ summary: "End the staff session" }), async (req, res, next) => {
+  if (!req.session) {
+    return res.status(200).json({ success: true, message: "Logged out" });
+  }
+
+  try {
+    await removeSession(req.sessionID);
+  } catch (error) {
+    return next(error);
+  }
+
+  req.session.destroy((err) => {
+    if (err) {
+      return next(err);
+    }
+
+    res.clearCookie(SESSION_COOKIE);
+    return res.status(200).json({
+      success: true,
+      message: "Logged out",
+    });
+  });
+});
+
+/**
+ * GET /me
+ * Return the logged-in staff user
+ */
+router.get(
+  "/me",
+  describe({ summary: "Current staff user and pending login step" }),
+  isAuthenticated([], { allowPendingSteps: ALL_PENDING_STEPS }),
+  (req, res, next) => {
+    if (req.principal.type !== "staff") {
+      return next(new ForbiddenError("Staff session required"));
+    }
+
+    const { user_id, username, full_name, roles, centre_id, mustChangePassword } = req.session.user;
+    const { twoFactorRequired, twoFactorEnrolled } = req.session.user;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user_id,
+        username,
+        fullName: full_name,
+        roles,
+        centreId: centre_id,
+        mustChangePassword,
+        twoFactorRequired,
+        twoFactorEnrolled,
+        pendingStep: req.principal.pendingStep,
+      },
+    });
+  }
+);
+
+/**
+ * POST /change-password
+ * Change the current password; clears the forced-change flag
+ */
+router.post(
+  "/change-password",
+  describe({ summary: "Change the current password" }),
+  isAuthenticated([], {
+    allowPendingSteps: [PENDING_STEPS.PASSWORD_CHANGE, PENDING_STEPS.TWO_FACTOR_ENROLMENT],
+  }),
+  validate(changePasswordSchema),
+  async (req, res, next) => {
+    try {
+      if (req.principal.type !== "staff") {
+        throw new ForbiddenError("Staff session required");
+      }
+
+      const { currentPassword, newPassword } = req.body;
+
+      const result = await changePassword(req.principal.id, currentPassword, newPassword);
+
+      if (!result.success) {
+        throw new ValidationError(result.message, { code: ERROR_CODES.PASSWORD_CHANGE_REJECTED });
+      }
+
+      req.session.user.mustChangePassword = false;
+
+      return res.status(200).json(result);
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /password-reset
+ * Set a new password with the grant /verify-otp returns for a
+ * password-reset OTP. The grant is spent once the new password passes
+ * the policy; every session of the user is signed out.
+ */
+router.post(
+  "/password-reset",
+  describe({
+    summary: "Reset a staff password with a reset grant",
+    responses: { 400: "Password does not meet the policy", 401: "Reset grant invalid, expired or used" },
+  }),
+  validate(passwordResetSchema),
+  async (req, res, next) => {
+    try {
+      const { resetToken, newPassword } = req.body;
+      const grant = verifyPasswordResetGrant(resetToken);
+
+      if (!grant) {
+        throw new AuthError("Reset token is invalid or expired", { code: ERROR_CODES.PASSWORD_RESET_GRANT_INVALID });
+      }
+
+      const policyError = validatePasswordPolicy(newPassword);
+
+      if (policyError) {
+        throw new ValidationError(policyError, { code: ERROR_CODES.PASSWORD_CHANGE_REJECTED });
+      }
+
+      const auditEntry = {
+        event: AUDIT_EVENTS.PASSWORD_RESET,
+        principal: { type: "staff", id: await findUserId(grant.username) },
+      };
+
+      if (!(await redeemPasswordResetGrant(grant))) {
+        await recordAuditEvent(req, {
+          ...auditEntry,
+          outcome: OUTCOMES.DENIED,
+          details: { reason: "GRANT_USED", username: grant.username },
+        });
+
+        throw new AuthError("Reset token has already been used", { code: ERROR_CODES.PASSWORD_RESET_GRANT_INVALID });
+      }
+
+      const userId = await resetPassword(grant.username, newPassword);
+
+      if (!userId) {
+        await recordAuditEvent(req, {
+          ...auditEntry,
+          outcome: OUTCOMES.FAILURE,
+          details: { reason: "USER_INACTIVE", username: grant.username },
+        });
+
+        throw new AuthError("Reset token is invalid or expired", { code: ERROR_CODES.PASSWORD_RESET_GRANT_INVALID });
+      }
+
+      const revoked = await revokeAllSessions(req.sessionStore, userId);
+
+      await recordAuditEvent(req, {
+        ...auditEntry,
+        outcome: OUTCOMES.SUCCESS,
+        details: { username: grant.username, revokedSessions: revoked },
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Password reset successfully",
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * AxiosInstance
+ * ----------------------------------------
+ * Shared axios client for the React frontend.
+ *
+ * Features:
+ * - Cookie-based session (withCredentials)
+ * - Automatic X-CSRF-Token header on state-changing requests
+ * - Lazy CSRF token fetch and one retry on CSRF_INVALID
+ */
+
+import axios from "axios";
+
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "X-CSRF-Token";
+const UNSAFE_METHODS = ["post", "put", "patch", "delete"];
+
+const axiosInstance = axios.create({
+  baseURL: process.env.REACT_APP_API_URL,
+  withCredentials: true,
+});
+
+const readCookie = (name) => {
+  const match = document.cookie
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+// The API may live on another host, where its cookie is not readable here,
+// so the token returned in the response body is kept in memory as well
+let csrfToken = null;
+let pendingTokenRequest = null;
+
+// Fetch a fresh token once, even when several requests need it at the same time
+const fetchCsrfToken = async () => {
+  if (!pendingTokenRequest) {
+    pendingTokenRequest = axiosInstance
+      .get("/api/v1/security/csrf-token")
+      .then(({ data }) => {
+        csrfToken = data?.csrfToken || null;
+        return csrfToken;
+      })
+      .finally(() => {
+        pendingTokenRequest = null;
+      });
+  }
+
+  return pendingTokenRequest;
+};
+
+axiosInstance.interceptors.request.use(async (config) => {
+  if (UNSAFE_METHODS.includes((config.method || "get").toLowerCase())) {
+    const token = csrfToken || readCookie(CSRF_COOKIE) || (await fetchCsrfToken());
+
+    if (token) {
+      config.headers[CSRF_HEADER] = token;
+    }
+  }
+
+  return config;
+});
+
+axiosInstance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status === 403 && response?.data?.code === "CSRF_INVALID" && !config._csrfRetried) {
+      config._csrfRetried = true;
+      config.headers[CSRF_HEADER] = await fetchCsrfToken();
+      return axiosInstance(config);
+    }
+
+    return Promise.reject(error);
+  }
+);
+
+export default axiosInstance;
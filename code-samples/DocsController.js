@@ -0,0 +1,96 @@
+/**
+ * DocsController
+ * ----------------------------------------
+ * Serves the OpenAPI description and an
+ * interactive docs page.
+ *
+ * Features:
+ * - OpenAPI 3 document generated at boot (app.locals.openApiDocument)
+ * - Swagger UI page loaded from a pinned CDN build, checked with
+ *   Subresource Integrity
+ * - Disabled unless API_DOCS_ENABLED (on by default outside production)
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const config = require("../config/env");
+const { ERROR_CODES, NotFoundError } = require("../errors");
+
+const router = express.Router();
+
+const SWAGGER_UI_CDN = "https://unpkg.com/swagger-ui-dist@5.17.14";
+
+// SHA-384 of the pinned files; update together with the version above
+const SWAGGER_UI_INTEGRITY = Object.freeze({
+  script: "sha384-wmyclcVGX/WhUkdkATwhaK1X1JtiNrr2EoYJ+diV3vj4v6OC5yCeSu+yW13SYJep",
+  style: "sha384-wxLW6kwyHktdDGr6Pv1zgm/VGJh99lfUbzSn6HNHBENZlCN7W602k9VkGdxuFvPn",
+});
+
+const docsEnabled = (req, res, next) => {
+  if (!config.api.docsEnabled) {
+    return next(new NotFoundError("API endpoint not found", { code: ERROR_CODES.ROUTE_NOT_FOUND }));
+  }
+
+  next();
+};
+
+/**
+ * GET /openapi.json
+ * OpenAPI 3 description of the versioned API
+ */
+router.get("/openapi.json", docsEnabled, (req, res) => {
+  res.setHeader("Cache-Control", "no-cache");
+  return res.status(200).json(req.app.locals.openApiDocument);
+});
+
+/**
+ * GET /docs
+ * Interactive API explorer
+ */
+router.get("/docs", docsEnabled, (req, res) => {
+  const nonce = crypto.randomBytes(16).toString("base64");
+  const specUrl = `${req.baseUrl}/openapi.json`;
+
+  // The page needs the CDN bundle and one inline bootstrap script
+  res.removeHeader("Content-Security-Policy-Report-Only");
+  res.setHeader(
+    "Content-Security-Policy",
+    [
+      "default-src 'self'",
+      `script-src 'nonce-${nonce}' ${SWAGGER_UI_CDN}/`,
+      `style-src 'self' ${SWAGGER_UI_CDN}/`,
+      "img-src 'self' data:",
+      "connect-src 'self'",
+      "frame-ancestors 'none'",
+    ].join("; ")
+  );
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+
+  return res.status(200).send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Portfolio API</title>
+    <link
+      rel="stylesheet"
+      href="${SWAGGER_UI_CDN}/swagger-ui.css"
+      integrity="${SWAGGER_UI_INTEGRITY.style}"
+      crossorigin="anonymous"
+    />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script
+      nonce="${nonce}"
+      src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js"
+      integrity="${SWAGGER_UI_INTEGRITY.script}"
+      crossorigin="anonymous"
+    ></script>
+    <script nonce="${nonce}">
+      window.ui = SwaggerUIBundle({ url: "${specUrl}", dom_id: "#swagger-ui", withCredentials: true });
+    </script>
+  </body>
+</html>`);
+});
+
+module.exports = router;
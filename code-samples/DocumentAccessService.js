@@ -0,0 +1,93 @@
+/**
+ * DocumentAccessService
+ * ----------------------------------------
+ * Decides who may read a stored document.
+ *
+ * Features:
+ * - Every file resolved to its owning student (CCAT form number / PRN)
+ * - Students reach their own documents only
+ * - Staff need documents:view for the student's centre (verifiers,
+ *   coordinators) or for every centre (admins)
+ * - Denied attempts audited and logged as suspicious
+ *
+ * Documents live under UPLOAD_PATH/<CCAT form number or PRN>/.
+ */
+
+const { query } = require("../dbUtils");
+const { logger } = require("../logger");
+const { PERMISSIONS, hasPermission } = require("./PermissionService");
+const { AUDIT_EVENTS, OUTCOMES, recordAuditEvent } = require("./AuditService");
+
+/**
+ * Look up a student by CCAT form number or PRN.
+ * Resolves with { ccatFormNo, prn, centreId }; centreId is null
+ * when no applicant record exists.
+ */
+const findDocumentOwner = async (studentId) => {
+  const rows = await query(
+    `SELECT ccat_form_no, prn, centre_id FROM ccat_applicants
+     WHERE ccat_form_no = ? OR prn = ?
+     LIMIT 1`,
+    [studentId, studentId],
+    "Database error while resolving document owner"
+  );
+
+  if (rows.length === 0) {
+    return { ccatFormNo: String(studentId), prn: null, centreId: null };
+  }
+
+  return {
+    ccatFormNo: rows[0].ccat_form_no,
+    prn: rows[0].prn,
+    centreId: rows[0].centre_id,
+  };
+};
+
+/**
+ * Owner of a file path relative to UPLOAD_PATH
+ */
+const resolveDocumentOwner = (filePath) => findDocumentOwner(String(filePath).split("/")[0]);
+
+/**
+ * Whether a principal may read a document of the given owner.
+ * permissions: the staff principal's effective permissions.
+ */
+const canAccessDocument = (principal, owner, permissions) => {
+  if (principal.type === "applicant") {
+    return [owner.ccatFormNo, owner.prn].filter(Boolean).includes(String(principal.id));
+  }
+
+  // With no known centre, only a grant covering every centre applies
+  return hasPermission(permissions, PERMISSIONS.DOCUMENTS_VIEW, owner.centreId ?? []);
+};
+
+/**
+ * Audit and log a denied document request as suspicious
+ */
+const reportSuspiciousAccess = async (req, { resource = null, reason, owner = null }) => {
+  const details = {
+    reason,
+    ...(owner ? { ownerCcatFormNo: owner.ccatFormNo, ownerCentreId: owner.centreId } : {}),
+  };
+
+  logger.warn("Suspicious document access denied", {
+    principal: req.principal ? `${req.principal.type}:${req.principal.id}` : null,
+    ipAddress: req.ip,
+    resource,
+    ...details,
+  });
+
+  await recordAuditEvent(req, {
+    event: AUDIT_EVENTS.SUSPICIOUS_FILE_ACCESS,
+    outcome: OUTCOMES.DENIED,
+    resource,
+    details,
+  });
+};
+
+module.exports = {
+  findDocumentOwner,
+  resolveDocumentOwner,
+  canAccessDocument,
+  reportSuspiciousAccess,
+};
@@ -0,0 +1,391 @@
+/**
+ * DocumentUploadService
+ * ----------------------------------------
+ * Receives applicant documents for the registration,
+ * re-registration and document re-upload flows.
+ *
+ * Features:
+ * - Multipart parsing with Formidable, streamed straight to disk
+ * - Per-document-type rules (allowed types, maximum size, required)
+ * - Content checked by file signature; extension/content mismatches rejected
+ * - HEIC/HEIF photos converted to JPEG; multi-page TIFF scans kept as-is
+ * - Server-generated file names under UPLOAD_PATH/<CCAT form number>/
+ * - Atomic placement: temp file in UPLOAD_PATH/.incoming, then rename
+ * - Partial files removed when the client aborts or a rule fails
+ * - Listing of an applicant's stored documents
+ *
+ * Paths returned are relative to UPLOAD_PATH; callers turn them
+ * into signed links with FileLinkService.
+ * Each document is sent in a multipart field named after its type,
+ * e.g. photo=<file>, signature=<file>.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { formidable, errors: formidableErrors } = require("formidable");
+const heicConvert = require("heic-convert");
+const config = require("../config/env");
+const FileService = require("./FileService");
+const { OTP_PURPOSES } = require("./OTPService");
+const { ERROR_CODES, AppError, ValidationError } = require("../errors");
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+const PHOTO_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp", ".heic", ".heif"];
+const SCAN_EXTENSIONS = [".pdf", ".tif", ".tiff"];
+
+const DOCUMENT_TYPES = Object.freeze({
+  photo: { label: "Photograph", extensions: PHOTO_EXTENSIONS, maxSize: 200 * KB, required: true },
+  signature: { label: "Signature", extensions: PHOTO_EXTENSIONS, maxSize: 100 * KB, required: true },
+  idProof: {
+    label: "Identity proof",
+    extensions: [...SCAN_EXTENSIONS, ".jpg", ".jpeg", ".png"],
+    maxSize: 2 * MB,
+    required: true,
+  },
+  marksheet: { label: "Qualifying marksheet", extensions: SCAN_EXTENSIONS, maxSize: 5 * MB, required: true },
+  categoryCertificate: { label: "Category certificate", extensions: SCAN_EXTENSIONS, maxSize: 2 * MB, required: false },
+});
+
+const HEIF_TYPES = ["image/heic", "image/heif"];
+
+// Full submissions must carry every required document; re-uploads replace any subset
+const FULL_SUBMISSION_PURPOSES = [OTP_PURPOSES.REGISTRATION, OTP_PURPOSES.RE_REGISTRATION];
+const UPLOAD_PURPOSES = [...FULL_SUBMISSION_PURPOSES, OTP_PURPOSES.DOCUMENT_REUPLOAD];
+
+const STUDENT_FOLDER_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// <document type>-<uuid>.<ext>, as written by storeDocuments()
+const STORED_NAME_PATTERN = /^([A-Za-z]+)-[0-9a-f-]{36}\.[a-z]+$/;
+
+const largestMaxSize = Math.max(...Object.values(DOCUMENT_TYPES).map((rule) => rule.maxSize));
+const totalMaxSize = Object.values(DOCUMENT_TYPES).reduce((sum, rule) => sum + rule.maxSize, 0);
+
+const incomingPath = () => path.join(config.uploadPath, ".incoming");
+
+const formatSize = (bytes) => (bytes >= MB ? `${bytes / MB} MB` : `${bytes / KB} KB`);
+
+const removeQuietly = (filePath) => fs.promises.rm(filePath, { force: true }).catch(() => {});
+
+/**
+ * Check one received file against its document type.
+ * The declared MIME type is ignored; the content decides.
+ * Resolves with { problem } or { contentType }.
+ */
+const checkFile = async (documentType, file) => {
+  const rule = DOCUMENT_TYPES[documentType];
+  const extension = path.extname(file.originalFilename || "").toLowerCase();
+
+  if (!rule.extensions.includes(extension)) {
+    return {
+      problem: {
+        field: documentType,
+        code: ERROR_CODES.FILE_TYPE_NOT_ALLOWED,
+        message: `${rule.label} must be one of: ${rule.extensions.join(", ")}`,
+      },
+    };
+  }
+
+  if (file.size > rule.maxSize) {
+    return {
+      problem: {
+        field: documentType,
+        code: ERROR_CODES.FILE_TOO_LARGE,
+        message: `${rule.label} must not exceed ${formatSize(rule.maxSize)}`,
+      },
+    };
+  }
+
+  const contentType = await FileService.detectContentType(file.filepath);
+
+  if (!FileService.matchesExtension(extension, contentType)) {
+    return {
+      problem: {
+        field: documentType,
+        code: ERROR_CODES.FILE_CONTENT_MISMATCH,
+        message: `${rule.label} content does not match its ${extension} extension`,
+      },
+    };
+  }
+
+  return { contentType };
+};
+
+/**
+ * Replace a HEIC/HEIF temp file with a JPEG one, which browsers can display.
+ * The JPEG must still fit the document type's size limit.
+ * Resolves with the JPEG temp path and size.
+ */
+const convertToJpeg = async (documentType, file, tempPaths) => {
+  const rule = DOCUMENT_TYPES[documentType];
+  const jpegPath = `${file.filepath}.jpg`;
+  tempPaths.push(jpegPath);
+
+  let output;
+
+  try {
+    output = await heicConvert({
+      buffer: await fs.promises.readFile(file.filepath),
+      format: "JPEG",
+      quality: 0.9,
+    });
+  } catch (error) {
+    throw new ValidationError("Invalid documents", {
+      code: ERROR_CODES.UPLOAD_INVALID,
+      cause: error,
+      details: [{
+        field: documentType,
+        code: ERROR_CODES.FILE_CONTENT_MISMATCH,
+        message: `${rule.label} could not be read as a HEIC image`,
+      }],
+    });
+  }
+
+  // JPEG is usually larger than the HEIC it came from
+  if (output.byteLength > rule.maxSize) {
+    throw new AppError("Document too large", {
+      code: ERROR_CODES.FILE_TOO_LARGE,
+      status: 413,
+      details: [{
+        field: documentType,
+        code: ERROR_CODES.FILE_TOO_LARGE,
+        message: `${rule.label} must not exceed ${formatSize(rule.maxSize)} once converted to JPEG`,
+      }],
+    });
+  }
+
+  await fs.promises.writeFile(jpegPath, Buffer.from(output));
+  await removeQuietly(file.filepath);
+
+  return { filepath: jpegPath, size: output.byteLength };
+};
+
+/**
+ * Map Formidable's errors onto typed errors
+ */
+const toUploadError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const tooLarge = [
+    formidableErrors.biggerThanMaxFileSize,
+    formidableErrors.biggerThanTotalMaxFileSize,
+  ].includes(error.code);
+
+  if (tooLarge) {
+    return new AppError(`Documents must not exceed ${formatSize(largestMaxSize)} each`, {
+      code: ERROR_CODES.FILE_TOO_LARGE,
+      status: 413,
+      cause: error,
+    });
+  }
+
+  return new ValidationError("Malformed upload", { code: ERROR_CODES.UPLOAD_INVALID, cause: error });
+};
+
+/**
+ * Stream the multipart request into UPLOAD_PATH/.incoming.
+ * Resolves with Formidable's files map. Every temp file created,
+ * complete or not, is pushed onto tempPaths for cleanup.
+ */
+const receiveFiles = async (req, tempPaths) => {
+  await fs.promises.mkdir(incomingPath(), { recursive: true });
+
+  const form = formidable({
+    uploadDir: incomingPath(),
+    filename: () => `${crypto.randomUUID()}.part`,
+    maxFiles: Object.keys(DOCUMENT_TYPES).length,
+    maxFileSize: largestMaxSize,
+    maxTotalFileSize: totalMaxSize,
+    maxFields: 10,
+    maxFieldsSize: 16 * KB,
+    allowEmptyFiles: false,
+    minFileSize: 1,
+    // Unknown fields are never written to disk
+    filter: ({ name }) => Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, name),
+  });
+
+  form.on("fileBegin", (name, file) => {
+    tempPaths.push(file.filepath);
+  });
+
+  const [, files] = await form.parse(req);
+  return files;
+};
+
+/**
+ * Validate the received files for the principal's flow.
+ * Resolves with the sniffed content type per document type;
+ * throws a ValidationError listing every problem.
+ */
+const validateFiles = async (files, purpose) => {
+  const problems = [];
+  const contentTypes = {};
+
+  for (const [documentType, received] of Object.entries(files)) {
+    if (received.length > 1) {
+      problems.push({
+        field: documentType,
+        code: ERROR_CODES.UPLOAD_INVALID,
+        message: `Only one ${DOCUMENT_TYPES[documentType].label.toLowerCase()} may be uploaded`,
+      });
+      continue;
+    }
+
+    const { problem, contentType } = await checkFile(documentType, received[0]);
+
+    if (problem) {
+      problems.push(problem);
+    } else {
+      contentTypes[documentType] = contentType;
+    }
+  }
+
+  if (FULL_SUBMISSION_PURPOSES.includes(purpose)) {
+    for (const [documentType, rule] of Object.entries(DOCUMENT_TYPES)) {
+      if (rule.required && !files[documentType]) {
+        problems.push({
+          field: documentType,
+          code: ERROR_CODES.FILE_MISSING,
+          message: `${rule.label} is required`,
+        });
+      }
+    }
+  } else if (Object.keys(files).length === 0) {
+    problems.push({ field: "file", code: ERROR_CODES.FILE_MISSING, message: "At least one document is required" });
+  }
+
+  if (problems.length > 0) {
+    const tooLarge = problems.every((problem) => problem.code === ERROR_CODES.FILE_TOO_LARGE);
+
+    throw tooLarge
+      ? new AppError("Document too large", { code: ERROR_CODES.FILE_TOO_LARGE, status: 413, details: problems })
+      : new ValidationError("Invalid documents", { code: ERROR_CODES.UPLOAD_INVALID, details: problems });
+  }
+
+  return contentTypes;
+};
+
+/**
+ * Receive, validate and store the documents of one applicant.
+ * Resolves with [{ documentType, fileName, filePath, size, contentType }].
+ */
+const storeDocuments = async (req, { ccatFormNo, purpose }) => {
+  if (!STUDENT_FOLDER_PATTERN.test(String(ccatFormNo))) {
+    throw new ValidationError("Invalid CCAT form number", { code: ERROR_CODES.UPLOAD_INVALID });
+  }
+
+  const tempPaths = [];
+  const placedPaths = [];
+
+  try {
+    // A client abort rejects the parse, so partial files are removed below
+    const files = await receiveFiles(req, tempPaths).catch((error) => {
+      throw toUploadError(error);
+    });
+
+    const contentTypes = await validateFiles(files, purpose);
+
+    const studentFolder = path.join(config.uploadPath, String(ccatFormNo));
+    await fs.promises.mkdir(studentFolder, { recursive: true });
+
+    const documents = [];
+
+    for (const [documentType, [file]] of Object.entries(files)) {
+      let { filepath, size } = file;
+      let contentType = contentTypes[documentType];
+      let extension = path.extname(file.originalFilename).toLowerCase();
+
+      if (HEIF_TYPES.includes(contentType)) {
+        ({ filepath, size } = await convertToJpeg(documentType, file, tempPaths));
+        contentType = "image/jpeg";
+        extension = ".jpg";
+      }
+
+      const fileName = `${documentType}-${crypto.randomUUID()}${extension}`;
+      const finalPath = path.join(studentFolder, fileName);
+
+      // Same filesystem as .incoming, so the file appears complete or not at all
+      await fs.promises.rename(filepath, finalPath);
+      placedPaths.push(finalPath);
+
+      documents.push({
+        documentType,
+        fileName,
+        filePath: path.posix.join(String(ccatFormNo), fileName),
+        size,
+        contentType,
+      });
+    }
+
+    return documents;
+
+  } catch (error) {
+    // All documents of a request are stored together or not at all
+    await Promise.all([...tempPaths, ...placedPaths].map(removeQuietly));
+    throw error;
+  }
+};
+
+/**
+ * List an applicant's stored documents, newest first.
+ * Re-uploads keep earlier versions; the newest of each type is `current`.
+ * Resolves with [{ documentType, fileName, filePath, size, uploadedAt, current }].
+ */
+const listDocuments = async (ccatFormNo) => {
+  if (!STUDENT_FOLDER_PATTERN.test(String(ccatFormNo))) {
+    return [];
+  }
+
+  const studentFolder = path.join(config.uploadPath, String(ccatFormNo));
+  let fileNames;
+
+  try {
+    fileNames = await fs.promises.readdir(studentFolder);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const documents = [];
+
+  for (const fileName of fileNames) {
+    const match = STORED_NAME_PATTERN.exec(fileName);
+
+    if (!match || !Object.prototype.hasOwnProperty.call(DOCUMENT_TYPES, match[1])) {
+      continue;
+    }
+
+    const stats = await fs.promises.stat(path.join(studentFolder, fileName));
+
+    documents.push({
+      documentType: match[1],
+      fileName,
+      filePath: path.posix.join(String(ccatFormNo), fileName),
+      size: stats.size,
+      uploadedAt: stats.mtime,
+    });
+  }
+
+  documents.sort((a, b) => b.uploadedAt - a.uploadedAt);
+
+  const seen = new Set();
+
+  return documents.map((document) => {
+    const current = !seen.has(document.documentType);
+    seen.add(document.documentType);
+    return { ...document, current };
+  });
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  UPLOAD_PURPOSES,
+  storeDocuments,
+  listDocuments,
+};
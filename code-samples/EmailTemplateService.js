@@ -0,0 +1,214 @@
+/**
+ * EmailTemplateService
+ * ----------------------------------------
+ * Renders OTP and notification emails from
+ * bilingual templates.
+ *
+ * Features:
+ * - Purpose-specific subjects
+ * - Shared branded HTML layout with plain-text fallback
+ * - {{variable}} interpolation with HTML escaping
+ * - English and Hindi versions chosen by preferred language
+ * - Sample data for admin previews
+ */
+
+const DEFAULT_LANGUAGE = "en";
+const SUPPORTED_LANGUAGES = ["en", "hi"];
+
+const TEMPLATES = {
+  otp: {
+    sampleData: {
+      otp: "123456",
+      applicantName: "Asha Kumar",
+      ccatFormNo: "CCAT240012345",
+      purpose: "registration",
+      expiryMinutes: 10,
+    },
+    en: {
+      subject: {
+        registration: "ACTS Registration OTP",
+        "re-registration": "ACTS Re-Registration OTP",
+        "document-reupload": "ACTS Document Re-Upload OTP",
+      },
+      greeting: "Dear {{applicantName}},",
+      lines: [
+        "Your one-time password for CCAT Form No. {{ccatFormNo}} is {{otp}}.",
+        "It is valid for {{expiryMinutes}} minutes. Do not share it with anyone.",
+        "If you did not request this code, please ignore this email.",
+      ],
+    },
+    hi: {
+      subject: {
+        registration: "ACTS पंजीकरण OTP",
+        "re-registration": "ACTS पुनः पंजीकरण OTP",
+        "document-reupload": "ACTS दस्तावेज़ पुनः अपलोड OTP",
+      },
+      greeting: "प्रिय {{applicantName}},",
+      lines: [
+        "CCAT फ़ॉर्म संख्या {{ccatFormNo}} के लिए आपका वन-टाइम पासवर्ड {{otp}} है।",
+        "यह {{expiryMinutes}} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।",
+        "यदि आपने यह कोड नहीं माँगा है, तो कृपया इस ईमेल को अनदेखा करें।",
+      ],
+    },
+  },
+
+  "password-reset-otp": {
+    sampleData: {
+      otp: "123456",
+      applicantName: "R. Sharma",
+      username: "verifier.blr",
+      expiryMinutes: 10,
+    },
+    en: {
+      subject: "ACTS Password Reset OTP",
+      greeting: "Dear {{applicantName}},",
+      lines: [
+        "Your one-time password to reset the password of account {{username}} is {{otp}}.",
+        "It is valid for {{expiryMinutes}} minutes. Do not share it with anyone.",
+        "If you did not request a password reset, please contact the administrator.",
+      ],
+    },
+    hi: {
+      subject: "ACTS पासवर्ड रीसेट OTP",
+      greeting: "प्रिय {{applicantName}},",
+      lines: [
+        "खाता {{username}} का पासवर्ड रीसेट करने के लिए आपका वन-टाइम पासवर्ड {{otp}} है।",
+        "यह {{expiryMinutes}} मिनट तक मान्य है। इसे किसी के साथ साझा न करें।",
+        "यदि आपने पासवर्ड रीसेट का अनुरोध नहीं किया है, तो कृपया व्यवस्थापक से संपर्क करें।",
+      ],
+    },
+  },
+
+  "document-status": {
+    sampleData: {
+      applicantName: "Asha Kumar",
+      ccatFormNo: "CCAT240012345",
+      documentName: "Graduation Marksheet",
+      status: "Rejected",
+      remarks: "Scan is not legible",
+    },
+    en: {
+      subject: "ACTS Document Verification Update",
+      greeting: "Dear {{applicantName}},",
+      lines: [
+        "The status of your {{documentName}} for CCAT Form No. {{ccatFormNo}} is now: {{status}}.",
+        "Remarks: {{remarks}}",
+        "Please log in to the portal for details.",
+      ],
+    },
+    hi: {
+      subject: "ACTS दस्तावेज़ सत्यापन अपडेट",
+      greeting: "प्रिय {{applicantName}},",
+      lines: [
+        "CCAT फ़ॉर्म संख्या {{ccatFormNo}} के लिए आपके {{documentName}} की स्थिति अब है: {{status}}।",
+        "टिप्पणी: {{remarks}}",
+        "विवरण के लिए कृपया पोर्टल पर लॉग इन करें।",
+      ],
+    },
+  },
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Replace {{name}} placeholders; missing variables render as empty strings
+ */
+const interpolate = (text, variables, escape = false) =>
+  text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = variables[key] ?? "";
+    return escape ? escapeHtml(value) : String(value);
+  });
+
+/**
+ * Shared branded layout wrapping every HTML email
+ */
+const renderLayout = (language, bodyHtml) => `<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="UTF-8"></head>
+<body style="margin:0;padding:0;background:#f4f6f8;font-family:Arial,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;">
+    <tr>
+      <td style="background:#1976d2;color:#ffffff;padding:16px 24px;font-size:18px;font-weight:bold;">
+        ACTS Management System &middot; C-DAC
+      </td>
+    </tr>
+    <tr><td style="padding:24px;color:#212121;font-size:14px;line-height:1.6;">${bodyHtml}</td></tr>
+    <tr>
+      <td style="padding:16px 24px;color:#757575;font-size:12px;border-top:1px solid #e0e0e0;">
+        This is an automated message. Please do not reply.
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+
+const getTemplate = (templateName) =>
+  Object.prototype.hasOwnProperty.call(TEMPLATES, templateName) ? TEMPLATES[templateName] : null;
+
+/**
+ * Pick a supported language, falling back to English
+ */
+const resolveLanguage = (language) =>
+  SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+
+/**
+ * Render a template into { subject, text, html }
+ */
+const renderTemplate = (templateName, variables = {}, language = DEFAULT_LANGUAGE) => {
+  const template = getTemplate(templateName);
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+
+  const lang = resolveLanguage(language);
+  const content = template[lang];
+
+  const subjectSource = typeof content.subject === "string"
+    ? content.subject
+    : content.subject[variables.purpose];
+
+  if (!subjectSource) {
+    throw new Error(`No subject defined for purpose: ${variables.purpose}`);
+  }
+
+  const subject = interpolate(subjectSource, variables);
+  const textLines = [content.greeting, ...content.lines].map((line) => interpolate(line, variables));
+  const htmlBody = [content.greeting, ...content.lines]
+    .map((line) => `<p>${interpolate(line, variables, true)}</p>`)
+    .join("\n");
+
+  return {
+    subject,
+    text: textLines.join("\n\n"),
+    html: renderLayout(lang, htmlBody),
+  };
+};
+
+/**
+ * Render a template with its bundled sample data (admin preview)
+ */
+const previewTemplate = (templateName, language, overrides = {}) => {
+  const template = getTemplate(templateName);
+
+  if (!template) {
+    return null;
+  }
+
+  return renderTemplate(templateName, { ...template.sampleData, ...overrides }, language);
+};
+
+const listTemplates = () => Object.keys(TEMPLATES);
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  renderTemplate,
+  previewTemplate,
+  listTemplates,
+};
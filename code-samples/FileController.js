@@ -1,72 +1,301 @@
 /**
  * FileController
  * ----------------------------------------
- * Secure file retrieval endpoint.
+ * Secure document upload and retrieval endpoints.
  *
  * Features:
- * - Encrypted file path handling
+ * - Signed, expiring, principal-bound file links (optionally single-use)
+ * - Document listings that issue those links
+ * - Owner check: students see their own files, staff their centres' students
+ * - Denied and tampered requests logged as suspicious
  * - File existence validation
- * - Dynamic content-type resolution
+ * - Content type sniffed from file signatures, not the extension
+ * - nosniff and a safe Content-Disposition on every file served
+ * - Range (206), ETag/Last-Modified (304) and private caching
  * - Stream-based file delivery
  * - Authentication middleware protection
+ * - Audit entry per file served (not per revalidation or range chunk)
+ * - Query validation before the link is checked
+ * - Typed errors forwarded to the global handler
+ * - Multipart upload for applicant documents (per-type rules)
  */
 
 const express = require("express");
-const { isAuthenticated } = require("../middlewares/authenticationMiddleware");
+const { describe } = require("../openApi");
+const config = require("../config/env");
+const {
+  APPLICANT_ROLE,
+  isAuthenticated,
+  authorize,
+  loadPermissions,
+} = require("../middlewares/authenticationMiddleware");
+const { validate } = require("../middlewares/validationMiddleware");
+const {
+  fetchFileSchema,
+  documentListSchema,
+  applicantDocumentsSchema,
+} = require("../validators/validationSchemas");
 const FileService = require("../services/FileService");
+const { issueFileLink, verifyFileLink, redeemFileLink } = require("../services/FileLinkService");
+const {
+  DOCUMENT_TYPES,
+  UPLOAD_PURPOSES,
+  storeDocuments,
+  listDocuments,
+} = require("../services/DocumentUploadService");
+const {
+  findDocumentOwner,
+  resolveDocumentOwner,
+  canAccessDocument,
+  reportSuspiciousAccess,
+} = require("../services/DocumentAccessService");
+const { PERMISSIONS } = require("../services/PermissionService");
+const { AUDIT_EVENTS, OUTCOMES, recordAuditEvent } = require("../services/AuditService");
+const { ERROR_CODES, ForbiddenError, NotFoundError } = require("../errors");
 
 const router = express.Router();
 
-const uploadsPath = process.env.UPLOAD_PATH || "uploads";
+const uploadsPath = config.uploadPath;
+
+// Link failures that point at tampering or a shared link rather than age
+const SUSPICIOUS_LINK_ERRORS = [ERROR_CODES.FILE_LINK_INVALID, ERROR_CODES.FILE_LINK_FORBIDDEN];
+
+// authorize() scope for routes addressing a student by :ccatFormNo
+const studentCentreScope = async (req) => {
+  const owner = await findDocumentOwner(req.params.ccatFormNo);
+  return owner.centreId ?? [];
+};
+
+/**
+ * Replace internal file paths with links for the requesting principal
+ */
+const withLinks = (documents, principal, singleUse = false) =>
+  documents.map(({ filePath, ...document }) => ({
+    ...document,
+    link: issueFileLink(filePath, principal, { singleUse }),
+  }));
 
 /**
  * GET /fetchFile
- * Fetch and stream a file securely using encrypted path.
+ * Stream a document through a signed link, to its owner or authorised staff.
  */
-router.get("/fetchFile", isAuthenticated([]), async (req, res) => {
-  try {
-    const encryptedFilePath = req?.query?.path;
-
-    if (!encryptedFilePath) {
-      return res.status(400).json({
-        success: false,
-        message: "File path is required",
+router.get(
+  "/fetchFile",
+  describe({
+    summary: "Stream an uploaded document",
+    produces: ["application/pdf", "image/jpeg", "image/png", "image/webp", "image/tiff"],
+    description: "Supports Range (206) and If-None-Match / If-Modified-Since (304). "
+      + "Single-use links send the whole file once, uncached, and refuse Range requests.",
+    responses: {
+      400: "Range request on a single-use link",
+      404: "File not found",
+      410: "File link expired or already used",
+      415: "File content does not match its type",
+      416: "Requested range not satisfiable",
+    },
+  }),
+  isAuthenticated([]),
+  validate(fetchFileSchema),
+  async (req, res, next) => {
+    try {
+      let link;
+
+      // Signature, expiry and intended principal; single use is spent below
+      try {
+        link = await verifyFileLink(req.query.token, req.principal, { partial: Boolean(req.headers.range) });
+      } catch (error) {
+        if (SUSPICIOUS_LINK_ERRORS.includes(error.code)) {
+          await reportSuspiciousAccess(req, { reason: error.code });
+        } else {
+          await recordAuditEvent(req, {
+            event: AUDIT_EVENTS.FILE_FETCH,
+            outcome: OUTCOMES.DENIED,
+            details: { reason: error.code },
+          });
+        }
+        throw error;
+      }
+
+      const { filePath, singleUse } = link;
+
+      // Links are principal-bound, but access may have changed since issue
+      const owner = await resolveDocumentOwner(filePath);
+      const permissions = req.principal.type === "staff" ? await loadPermissions(req) : null;
+
+      if (!canAccessDocument(req.principal, owner, permissions)) {
+        await reportSuspiciousAccess(req, { resource: filePath, reason: ERROR_CODES.FILE_ACCESS_DENIED, owner });
+        throw new ForbiddenError("You do not have access to this document", {
+          code: ERROR_CODES.FILE_ACCESS_DENIED,
+        });
+      }
+
+      // Validate file existence
+      const absolutePath = FileService.fileExists(filePath, uploadsPath);
+
+      if (!absolutePath) {
+        throw new NotFoundError("File not found", { code: ERROR_CODES.FILE_NOT_FOUND });
+      }
+
+      // Runs just before the body is sent: a single-use link is spent only
+      // when the file is actually delivered, not on a refusal, 404 or 415.
+      // Audited once per download: a whole file or the first range of one,
+      // not revalidations (304) or every later chunk
+      const serveFile = async ({ start }) => {
+        try {
+          await redeemFileLink(link);
+        } catch (error) {
+          await recordAuditEvent(req, {
+            event: AUDIT_EVENTS.FILE_FETCH,
+            outcome: OUTCOMES.DENIED,
+            resource: filePath,
+            details: { reason: error.code },
+          });
+          throw error;
+        }
+
+        if (start === 0) {
+          await recordAuditEvent(req, {
+            event: AUDIT_EVENTS.FILE_FETCH,
+            outcome: OUTCOMES.SUCCESS,
+            resource: filePath,
+          });
+        }
+      };
+
+      // Stream file to client (whole, ranged or 304)
+      return await FileService.streamFile(absolutePath, req, res, {
+        fileName: filePath,
+        singleUse,
+        onServe: serveFile,
       });
+
+    } catch (error) {
+      return next(error);
     }
+  }
+);
+
+// Multipart form for the docs page: one optional binary field per document type
+const uploadRequestBody = {
+  required: true,
+  content: {
+    "multipart/form-data": {
+      schema: {
+        type: "object",
+        properties: Object.fromEntries(
+          Object.entries(DOCUMENT_TYPES).map(([documentType, rule]) => [
+            documentType,
+            { type: "string", format: "binary", description: `${rule.label} (${rule.extensions.join(", ")})` },
+          ])
+        ),
+      },
+    },
+  },
+};
 
-    // Decrypt file path
-    const filePath = FileService.decryptFilePath(encryptedFilePath);
+/**
+ * POST /uploadFile
+ * Store the applicant's documents; responds with fetchFile links.
+ */
+router.post(
+  "/uploadFile",
+  describe({
+    summary: "Upload applicant documents",
+    description: "Registration and re-registration must include every required document; "
+      + "document re-upload accepts any subset.",
+    requestBody: uploadRequestBody,
+    successStatus: 201,
+    responses: { 413: "A document exceeds its size limit" },
+  }),
+  isAuthenticated([APPLICANT_ROLE]),
+  async (req, res, next) => {
+    try {
+      const { id: ccatFormNo, purpose } = req.principal;
+
+      if (!UPLOAD_PURPOSES.includes(purpose)) {
+        throw new ForbiddenError("Document upload is not part of this flow");
+      }
+
+      let documents;
+
+      try {
+        documents = await storeDocuments(req, { ccatFormNo, purpose });
+      } catch (error) {
+        await recordAuditEvent(req, {
+          event: AUDIT_EVENTS.FILE_UPLOAD,
+          outcome: OUTCOMES.FAILURE,
+          resource: String(ccatFormNo),
+          details: { purpose, reason: error.code },
+        });
+        throw error;
+      }
 
-    if (!filePath) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid file path",
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.FILE_UPLOAD,
+        outcome: OUTCOMES.SUCCESS,
+        resource: String(ccatFormNo),
+        details: { purpose, files: documents.map(({ documentType, fileName }) => ({ documentType, fileName })) },
       });
+
+      return res.status(201).json({
+        success: true,
+        message: "Documents uploaded successfully",
+        data: withLinks(documents, req.principal),
+      });
+
+    } catch (error) {
+      return next(error);
     }
+  }
+);
 
-    // Validate file existence
-    const absolutePath = FileService.fileExists(filePath, uploadsPath);
+/**
+ * GET /documents
+ * The applicant's own documents, with fetchFile links
+ */
+router.get(
+  "/documents",
+  describe({ summary: "List my uploaded documents" }),
+  isAuthenticated([APPLICANT_ROLE]),
+  validate(documentListSchema),
+  async (req, res, next) => {
+    try {
+      const documents = await listDocuments(req.principal.id);
 
-    if (!absolutePath) {
-      return res.status(404).json({
-        success: false,
-        message: "File not found",
+      return res.status(200).json({
+        success: true,
+        data: withLinks(documents, req.principal, req.query.singleUse),
       });
+
+    } catch (error) {
+      return next(error);
     }
+  }
+);
 
-    // Set correct content type
-    const contentType = FileService.getContentType(filePath);
-    res.setHeader("Content-Type", contentType);
+/**
+ * GET /admin/applicants/:ccatFormNo/documents
+ * An applicant's documents for verification, with fetchFile links
+ */
+router.get(
+  "/admin/applicants/:ccatFormNo/documents",
+  describe({ summary: "List an applicant's uploaded documents" }),
+  // Validated first, so the centre scope is resolved from the normalised form number
+  validate(applicantDocumentsSchema),
+  authorize(PERMISSIONS.DOCUMENTS_VIEW, studentCentreScope),
+  async (req, res, next) => {
+    try {
+      const documents = await listDocuments(req.params.ccatFormNo);
 
-    // Stream file to client
-    return FileService.streamFile(absolutePath, res);
+      return res.status(200).json({
+        success: true,
+        data: withLinks(documents, req.principal, req.query.singleUse),
+      });
 
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Failed to process file request",
-    });
+    } catch (error) {
+      return next(error);
+    }
   }
-});
+);
 
 module.exports = router;
@@ -0,0 +1,161 @@
+/**
+ * FileLinkService
+ * ----------------------------------------
+ * Short-lived signed links for stored documents,
+ * accepted by GET /fetchFile.
+ *
+ * Features:
+ * - HMAC-SHA256 signed tokens: file, principal, expiry, optional nonce
+ * - Bound to the principal the link was issued to
+ * - Expiry (FILE_LINK_TTL_SECONDS, default 5 minutes)
+ * - Optional single-use links, replay-checked in `file_link_nonces`;
+ *   they serve the whole file once, so Range requests are refused
+ * - Key rotation through a key ring (FILE_LINK_KEYS, FILE_LINK_ACTIVE_KEY)
+ *
+ * Token format: v1.<key id>.<base64url JSON payload>.<base64url signature>
+ *
+ * Rotating keys: add the new key to FILE_LINK_KEYS, make it active,
+ * and drop the old key once FILE_LINK_TTL_SECONDS has passed.
+ * Links signed with the old key keep working until then.
+ */
+
+const crypto = require("crypto");
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { ERROR_CODES, AppError, ForbiddenError, ValidationError } = require("../errors");
+
+const TOKEN_VERSION = "v1";
+
+const principalKey = (principal) => `${principal.type}:${principal.id}`;
+
+const sign = (keyId, data) =>
+  crypto.createHmac("sha256", config.fileLinks.keys[keyId]).update(data).digest("base64url");
+
+const invalidLink = () =>
+  new ForbiddenError("Invalid file link", { code: ERROR_CODES.FILE_LINK_INVALID });
+
+/**
+ * Issue a link token for a stored file (path relative to UPLOAD_PATH).
+ * options: { singleUse, ttlSeconds }
+ * Returns { token, expiresAt }.
+ */
+const issueFileLink = (filePath, principal, options = {}) => {
+  const { singleUse = false, ttlSeconds = config.fileLinks.ttlSeconds } = options;
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+  const payload = {
+    f: filePath,
+    p: principalKey(principal),
+    e: expiresAt,
+    ...(singleUse ? { n: crypto.randomBytes(16).toString("base64url") } : {}),
+  };
+
+  const keyId = config.fileLinks.activeKeyId;
+  const unsigned = `${TOKEN_VERSION}.${keyId}.${Buffer.from(JSON.stringify(payload)).toString("base64url")}`;
+
+  return {
+    token: `${unsigned}.${sign(keyId, unsigned)}`,
+    expiresAt: new Date(expiresAt * 1000),
+  };
+};
+
+/**
+ * Record a single-use nonce; resolves false when it was already used
+ */
+const consumeNonce = async (nonce, expiresAt) => {
+  await query(
+    "DELETE FROM file_link_nonces WHERE expires_at < NOW()",
+    [],
+    "Database error while purging file link nonces"
+  );
+
+  try {
+    await query(
+      "INSERT INTO file_link_nonces (nonce, expires_at) VALUES (?, FROM_UNIXTIME(?))",
+      [nonce, expiresAt],
+      "Database error while recording file link use"
+    );
+    return true;
+  } catch (error) {
+    if (error.cause?.code === "ER_DUP_ENTRY") {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check a link token for the requesting principal.
+ * options: { partial } - the request asks for part of the file (Range)
+ * Resolves with { filePath, singleUse, nonce, expiresAt }, otherwise
+ * rejects with FILE_LINK_INVALID (403), FILE_LINK_FORBIDDEN (403),
+ * FILE_LINK_SINGLE_USE (400) or FILE_LINK_EXPIRED (410).
+ * A single-use link is not spent here; see redeemFileLink().
+ */
+const verifyFileLink = async (token, principal, { partial = false } = {}) => {
+  const [version, keyId, encodedPayload, signature, ...rest] = String(token).split(".");
+
+  // Unknown key ids are keys that have been rotated out
+  const knownKey = Object.hasOwn(config.fileLinks.keys, keyId);
+
+  if (version !== TOKEN_VERSION || rest.length > 0 || !signature || !knownKey) {
+    throw invalidLink();
+  }
+
+  const expected = Buffer.from(sign(keyId, `${version}.${keyId}.${encodedPayload}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw invalidLink();
+  }
+
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch {
+    throw invalidLink();
+  }
+
+  if (payload.e * 1000 <= Date.now()) {
+    throw new AppError("File link has expired", { code: ERROR_CODES.FILE_LINK_EXPIRED, status: 410 });
+  }
+
+  // Checked before the nonce is ever spent, so a leaked link cannot be burnt by someone else
+  if (payload.p !== principalKey(principal)) {
+    throw new ForbiddenError("This file link was issued to another user", {
+      code: ERROR_CODES.FILE_LINK_FORBIDDEN,
+    });
+  }
+
+  // Refused before the nonce is spent, so a plain GET can still use the link
+  if (payload.n && partial) {
+    throw new ValidationError("Single-use file links cannot be fetched in parts", {
+      code: ERROR_CODES.FILE_LINK_SINGLE_USE,
+    });
+  }
+
+  return {
+    filePath: payload.f,
+    singleUse: Boolean(payload.n),
+    nonce: payload.n || null,
+    expiresAt: payload.e,
+  };
+};
+
+/**
+ * Spend a verified single-use link; call once the file is about to be sent,
+ * so refused or missing files leave it usable. Other links pass through.
+ * Rejects with FILE_LINK_USED (410) when it was already spent.
+ */
+const redeemFileLink = async (link) => {
+  if (link.singleUse && !(await consumeNonce(link.nonce, link.expiresAt))) {
+    throw new AppError("File link has already been used", { code: ERROR_CODES.FILE_LINK_USED, status: 410 });
+  }
+};
+
+module.exports = {
+  issueFileLink,
+  verifyFileLink,
+  redeemFileLink,
+};
@@ -0,0 +1,53 @@
+require("./testSetup");
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ERROR_CODES } = require("../errors");
+const { issueFileLink, verifyFileLink } = require("../services/FileLinkService");
+
+const APPLICANT = { type: "applicant", id: "240101" };
+const FILE_PATH = "240101/photo-00000000-0000-0000-0000-000000000000.jpg";
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => error.code === code);
+
+const withKeyId = (token, keyId) => {
+  const [version, , payload, signature] = token.split(".");
+  return [version, keyId, payload, signature].join(".");
+};
+
+describe("file links", () => {
+  it("resolves a link for the principal it was issued to", async () => {
+    const { token } = issueFileLink(FILE_PATH, APPLICANT);
+
+    const link = await verifyFileLink(token, APPLICANT);
+
+    assert.equal(link.filePath, FILE_PATH);
+    assert.equal(link.singleUse, false);
+  });
+
+  it("refuses a link issued to another principal", async () => {
+    const { token } = issueFileLink(FILE_PATH, APPLICANT);
+
+    await rejectsWith(verifyFileLink(token, { type: "applicant", id: "240102" }), ERROR_CODES.FILE_LINK_FORBIDDEN);
+  });
+
+  it("refuses a tampered signature", async () => {
+    const { token } = issueFileLink(FILE_PATH, APPLICANT);
+
+    await rejectsWith(verifyFileLink(`${token.slice(0, -2)}AA`, APPLICANT), ERROR_CODES.FILE_LINK_INVALID);
+  });
+
+  it("treats prototype property names as unknown key ids", async () => {
+    const { token } = issueFileLink(FILE_PATH, APPLICANT);
+
+    for (const keyId of ["toString", "constructor", "__proto__", "hasOwnProperty"]) {
+      await rejectsWith(verifyFileLink(withKeyId(token, keyId), APPLICANT), ERROR_CODES.FILE_LINK_INVALID);
+    }
+  });
+
+  it("reports an expired link", async () => {
+    const { token } = issueFileLink(FILE_PATH, APPLICANT, { ttlSeconds: -1 });
+
+    await rejectsWith(verifyFileLink(token, APPLICANT), ERROR_CODES.FILE_LINK_EXPIRED);
+  });
+});
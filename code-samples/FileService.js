@@ -1,32 +1,63 @@
 /**
  * FileService
  * ----------------------------------------
- * Handles secure file decryption, validation,
+ * Handles secure file validation,
  * content-type resolution, and streaming.
  *
  * Features:
- * - Encrypted file path handling
  * - Path traversal protection
  * - File existence validation
  * - Stream-based file delivery
+ * - Content type sniffed from file signatures (magic bytes)
+ * - Extension/content mismatch detection
+ * - Safe Content-Disposition filenames
+ * - Range requests (206), conditional GET (304) and private caching
+ * - Typed errors (FILE_CONTENT_MISMATCH, FILE_RANGE_NOT_SATISFIABLE, ...)
  */
 
 const fs = require("fs");
 const path = require("path");
-const { decryptData } = require("../encryptionUtils");
+const { pipeline } = require("stream");
+const { logger } = require("../logger");
+const { ERROR_CODES, AppError } = require("../errors");
 
-class FileService {
+const CONTENT_TYPES = Object.freeze({
+  ".pdf": "application/pdf",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".heic": "image/heic",
+  ".heif": "image/heif",
+  ".tif": "image/tiff",
+  ".tiff": "image/tiff",
+});
 
-  /**
-   * Decrypt encrypted file path
-   */
-  static decryptFilePath(encryptedFilePath) {
-    try {
-      return decryptData(encryptedFilePath);
-    } catch {
-      throw new Error("Invalid encrypted file path");
-    }
-  }
+// Types browsers render safely in a tab; everything else is downloaded
+const INLINE_TYPES = ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+
+// ISO-BMFF brands of HEIC/HEIF images (ftyp box)
+const HEIC_BRANDS = ["heic", "heix", "heim", "heis", "hevc", "hevx"];
+const HEIF_BRANDS = ["mif1", "msf1"];
+
+// Enough for every signature below
+const SIGNATURE_LENGTH = 16;
+
+// Student documents: browser cache only, revalidated on every use
+const CACHE_CONTROL = "private, no-cache";
+
+// Single-use links cannot be revalidated or resumed, so nothing is cached
+const SINGLE_USE_CACHE_CONTROL = "private, no-store";
+
+// Set per file; cleared again when an error response replaces the file
+const FILE_HEADERS = ["Content-Type", "Content-Disposition", "Content-Range", "ETag", "Last-Modified"];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString("latin1");
+
+class FileService {
 
   /**
    * Validate file existence and prevent path traversal
@@ -49,35 +80,221 @@ class FileService {
   }
 
   /**
-   * Determine content type by extension
+   * Identify the content from its leading bytes; null when unknown
+   */
+  static sniffContentType(buffer) {
+    if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return "application/pdf"; // %PDF-
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+
+    if (ascii(buffer, 0, 4) === "RIFF" && ascii(buffer, 8, 12) === "WEBP") {
+      return "image/webp";
+    }
+
+    // Little- and big-endian TIFF, single or multi-page
+    if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) {
+      return "image/tiff";
+    }
+
+    if (ascii(buffer, 4, 8) === "ftyp") {
+      const brand = ascii(buffer, 8, 12);
+
+      if (HEIC_BRANDS.includes(brand)) return "image/heic";
+      if (HEIF_BRANDS.includes(brand)) return "image/heif";
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the leading bytes of a file and sniff its content type
    */
-  static getContentType(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
+  static async detectContentType(absolutePath) {
+    const handle = await fs.promises.open(absolutePath, "r");
 
-    const mimeTypes = {
-      ".pdf": "application/pdf",
-      ".jpg": "image/jpeg",
-      ".jpeg": "image/jpeg",
-      ".png": "image/png",
-    };
+    try {
+      const buffer = Buffer.alloc(SIGNATURE_LENGTH);
+      const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_LENGTH, 0);
+      return FileService.sniffContentType(buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Whether sniffed content agrees with an extension.
+   * .heic and .heif are used interchangeably by capture devices.
+   */
+  static matchesExtension(extension, contentType) {
+    const expected = CONTENT_TYPES[extension.toLowerCase()];
+    const heif = ["image/heic", "image/heif"];
 
-    return mimeTypes[ext] || "application/octet-stream";
+    return Boolean(contentType) && (
+      expected === contentType || (heif.includes(expected) && heif.includes(contentType))
+    );
   }
 
   /**
-   * Stream file securely
+   * Content type of a stored file, from its bytes.
+   * Refuses files whose content is unknown or disagrees with the extension,
+   * e.g. HTML renamed to .png.
    */
-  static streamFile(absolutePath, res) {
-    const fileStream = fs.createReadStream(absolutePath);
+  static async resolveContentType(absolutePath) {
+    const contentType = await FileService.detectContentType(absolutePath);
 
-    fileStream.on("error", () => {
-      res.status(500).json({
-        success: false,
-        message: "Error streaming file",
+    if (!FileService.matchesExtension(path.extname(absolutePath), contentType)) {
+      throw new AppError("File content does not match its type", {
+        code: ERROR_CODES.FILE_CONTENT_MISMATCH,
+        status: 415,
       });
-    });
+    }
+
+    return contentType;
+  }
 
-    fileStream.pipe(res);
+  /**
+   * Content-Disposition with an ASCII-only fallback and an RFC 5987 name.
+   * Types a browser could execute or misrender are always downloaded.
+   */
+  static getContentDisposition(filePath, contentType) {
+    const baseName = path.basename(filePath);
+    const safeName = baseName.replace(/[^A-Za-z0-9._-]/g, "_").replace(/^\.+/, "") || "download";
+    const disposition = INLINE_TYPES.includes(contentType) ? "inline" : "attachment";
+    const encodedName = encodeURIComponent(baseName)
+      .replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${disposition}; filename="${safeName}"; filename*=UTF-8''${encodedName}`;
+  }
+
+  /**
+   * Strong validator; stored files are never rewritten in place
+   */
+  static getETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  }
+
+  /**
+   * The single byte range to send, null for the whole file,
+   * or -1 when the range cannot be satisfied.
+   * Malformed, multi-part and outdated (If-Range) ranges fall back
+   * to the whole file.
+   */
+  static resolveRange(req, stats, etag) {
+    if (!req.headers.range) {
+      return null;
+    }
+
+    const ifRange = req.headers["if-range"];
+
+    if (ifRange && ifRange !== etag && ifRange !== stats.mtime.toUTCString()) {
+      return null;
+    }
+
+    const ranges = req.range(stats.size, { combine: true });
+
+    if (ranges === -1) {
+      return -1;
+    }
+
+    if (ranges === -2 || ranges.type !== "bytes" || ranges.length !== 1) {
+      return null;
+    }
+
+    return ranges[0];
+  }
+
+  /**
+   * Send a file with validators, Range and conditional GET support.
+   * options: { fileName, singleUse, onServe }
+   * The content type is sniffed (resolveContentType) only once a body
+   * will be sent, not for 304 or 416 responses. onServe({ start, end })
+   * is awaited just before the body of a GET is streamed.
+   * singleUse sends the whole file, uncached and without validators,
+   * since a second request on the same link would be refused.
+   * Errors before streaming starts reject, for the caller's next().
+   * Once piping, pipeline() destroys the response on failure, so the
+   * error is only logged: headers are gone or the socket is closed.
+   */
+  static async streamFile(absolutePath, req, res, { fileName, singleUse = false, onServe }) {
+    const handle = await fs.promises.open(absolutePath, "r");
+    let streaming = false;
+
+    try {
+      const stats = await handle.stat();
+      const etag = FileService.getETag(stats);
+
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      res.setHeader("Cache-Control", singleUse ? SINGLE_USE_CACHE_CONTROL : CACHE_CONTROL);
+      res.setHeader("Accept-Ranges", singleUse ? "none" : "bytes");
+
+      if (!singleUse) {
+        res.setHeader("ETag", etag);
+        res.setHeader("Last-Modified", stats.mtime.toUTCString());
+      }
+
+      // If-None-Match / If-Modified-Since against the headers above
+      if (!singleUse && req.fresh) {
+        return res.status(304).end();
+      }
+
+      const range = singleUse ? null : FileService.resolveRange(req, stats, etag);
+
+      if (range === -1) {
+        FILE_HEADERS.forEach((header) => res.removeHeader(header));
+        res.setHeader("Content-Range", `bytes */${stats.size}`);
+
+        throw new AppError("Requested range not satisfiable", {
+          code: ERROR_CODES.FILE_RANGE_NOT_SATISFIABLE,
+          status: 416,
+        });
+      }
+
+      // Refuses renamed files, e.g. HTML or SVG stored as .png
+      const contentType = await FileService.resolveContentType(absolutePath);
+
+      res.setHeader("Content-Type", contentType);
+      res.setHeader("Content-Disposition", FileService.getContentDisposition(fileName, contentType));
+
+      const { start, end } = range || { start: 0, end: stats.size - 1 };
+
+      if (range) {
+        res.status(206);
+        res.setHeader("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+      }
+
+      res.setHeader("Content-Length", String(stats.size === 0 ? 0 : end - start + 1));
+
+      if (req.method === "HEAD" || stats.size === 0) {
+        return res.end();
+      }
+
+      if (onServe) {
+        await onServe({ start, end });
+      }
+
+      // The stream now owns the handle and closes it
+      const fileStream = handle.createReadStream({ start, end });
+      streaming = true;
+
+      pipeline(fileStream, res, (error) => {
+        // A client disconnect is routine, a read failure is not
+        if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          logger.error("File stream failed", { error, path: req.path });
+        }
+      });
+
+    } catch (error) {
+      if (!res.headersSent && error.code !== ERROR_CODES.FILE_RANGE_NOT_SATISFIABLE) {
+        FILE_HEADERS.forEach((header) => res.removeHeader(header));
+      }
+
+      throw error;
+
+    } finally {
+      if (!streaming) {
+        await handle.close();
+      }
+    }
   }
 }
 
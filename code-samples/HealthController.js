@@ -0,0 +1,139 @@
+/**
+ * HealthController
+ * ----------------------------------------
+ * Liveness and readiness probes for Docker
+ * and Nginx.
+ *
+ * Features:
+ * - Liveness: process is up and serving
+ * - Readiness: database, session store, upload path
+ *   and (optionally) SMTP checks with per-check timing
+ * - 503 when any check fails or the server is draining
+ * - Per-check breakdown visible to admins only
+ */
+
+const fs = require("fs");
+const express = require("express");
+const { describe } = require("../openApi");
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { verifyTransport } = require("../services/NotificationTransport");
+const { loadPermissions } = require("../middlewares/authenticationMiddleware");
+const { PERMISSIONS, hasPermission } = require("../services/PermissionService");
+
+const router = express.Router();
+
+const CHECK_TIMEOUT_MS = config.health.timeoutMs;
+const DB_LATENCY_WARN_MS = config.health.dbLatencyWarnMs;
+const SESSION_TABLE = config.session.table;
+
+const withTimeout = (promise) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      setTimeout(() => reject(new Error("Check timed out")), CHECK_TIMEOUT_MS).unref();
+    }),
+  ]);
+
+/**
+ * Run one named check; resolves with { status, latencyMs, error? }
+ */
+const runCheck = async (check) => {
+  const startedAt = Date.now();
+
+  try {
+    const detail = await withTimeout(check());
+    const latencyMs = Date.now() - startedAt;
+
+    return { status: "up", latencyMs, ...(detail || {}) };
+  } catch (error) {
+    return { status: "down", latencyMs: Date.now() - startedAt, error: error.message };
+  }
+};
+
+const checks = {
+  database: async () => {
+    const startedAt = Date.now();
+    await query("SELECT 1", [], "Database unreachable");
+
+    return Date.now() - startedAt > DB_LATENCY_WARN_MS ? { warning: "High latency" } : null;
+  },
+
+  sessionStore: async () => {
+    await query(`SELECT 1 FROM \`${SESSION_TABLE}\` LIMIT 1`, [], "Session table unreachable");
+  },
+
+  uploadPath: async () => {
+    await fs.promises.access(config.uploadPath, fs.constants.W_OK);
+  },
+};
+
+if (config.health.checkSmtp) {
+  checks.smtp = async () => {
+    await verifyTransport();
+  };
+}
+
+/**
+ * Detailed output only for principals allowed to view it
+ */
+const canViewDetails = async (req) => {
+  if (!req.principal) {
+    return false;
+  }
+
+  try {
+    const permissions = await loadPermissions(req);
+    return hasPermission(permissions, PERMISSIONS.HEALTH_VIEW_DETAILS);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * GET /health/live
+ * Process is running and the event loop responds
+ */
+const liveness = (req, res) => {
+  res.status(200).json({
+    status: "ok",
+    uptimeSeconds: Math.round(process.uptime()),
+  });
+};
+
+router.get("/health/live", describe({ summary: "Liveness probe" }), liveness);
+
+// Kept for existing probes that still call the old path
+router.get("/health", describe({ summary: "Liveness probe (old path)", deprecated: true }), liveness);
+
+/**
+ * GET /health/ready
+ * Dependencies are reachable; 503 otherwise
+ */
+router.get(
+  "/health/ready",
+  describe({
+    summary: "Readiness probe",
+    responses: { 503: "A dependency is unavailable or the server is draining" },
+  }),
+  async (req, res) => {
+    const draining = Boolean(req.app.locals.isShuttingDown);
+
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map((name) => runCheck(checks[name])));
+    const breakdown = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+    const ready = !draining && results.every((result) => result.status === "up");
+    const body = { status: ready ? "ready" : "unavailable" };
+
+    if (await canViewDetails(req)) {
+      body.draining = draining;
+      body.checks = breakdown;
+    }
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(ready ? 200 : 503).json(body);
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,247 @@
+/**
+ * NotificationTransport
+ * ----------------------------------------
+ * Pluggable delivery channels for OTPs and
+ * other outbound notifications.
+ *
+ * Features:
+ * - SMTP transport with a pooled, reused connection
+ * - SMS gateway adapter
+ * - File and console sinks for development and tests (the console
+ *   sink logs metadata only; use the file sink to read message bodies)
+ * - Retry with exponential backoff
+ * - Per-attempt delivery log
+ *
+ * The active transport is chosen with NOTIFICATION_TRANSPORT
+ * (smtp | sms | file | console). Every message has the shape
+ * { to: { email, mobile }, subject, text, html }.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { logger } = require("../logger");
+
+const MAX_ATTEMPTS = config.notification.maxAttempts;
+const BASE_DELAY_MS = config.notification.retryDelayMs;
+
+/**
+ * SMTP transport; nodemailer keeps the pooled connections open between sends
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    pool: true,
+    maxConnections: config.smtp.poolSize,
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: false,
+    auth: {
+      user: config.smtp.user,
+      pass: config.smtp.password,
+    },
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      if (!message.to?.email) {
+        throw new Error("Recipient email is required for SMTP delivery");
+      }
+
+      await transporter.sendMail({
+        from: config.smtp.user,
+        to: message.to.email,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+    },
+    verify: () => transporter.verify(),
+    close: () => transporter.close(),
+  };
+};
+
+/**
+ * SMS gateway adapter (HTTP JSON API)
+ */
+const createSmsTransport = () => {
+  return {
+    name: "sms",
+    send: async (message) => {
+      if (!message.to?.mobile) {
+        throw new Error("Recipient mobile number is required for SMS delivery");
+      }
+
+      const response = await fetch(config.sms.gatewayUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${config.sms.apiKey}`,
+        },
+        body: JSON.stringify({
+          sender: config.sms.senderId,
+          to: message.to.mobile,
+          message: message.text,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+    },
+    verify: async () => true,
+    close: () => {},
+  };
+};
+
+/**
+ * File sink: appends one JSON line per message
+ */
+const createFileTransport = () => {
+  const outputPath = config.notification.filePath;
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+      await fs.promises.appendFile(
+        outputPath,
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n"
+      );
+    },
+    verify: async () => true,
+    close: () => {},
+  };
+};
+
+/**
+ * Console sink: logs that a message went out, never its body or recipient
+ * (bodies carry OTPs, and stdout ends up in shared log pipelines)
+ */
+const createConsoleTransport = () => {
+  return {
+    name: "console",
+    send: async (message) => {
+      logger.info("Notification sent to console sink", {
+        subject: message.subject,
+        channels: ["email", "mobile"].filter((channel) => message.to?.[channel]),
+        textLength: message.text?.length ?? 0,
+      });
+    },
+    verify: async () => true,
+    close: () => {},
+  };
+};
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  sms: createSmsTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * Resolve (and cache) the configured transport
+ */
+const getTransport = () => {
+  if (activeTransport) {
+    return activeTransport;
+  }
+
+  const name = config.notification.transport;
+  const factory = transportFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+
+  if (config.isProduction && (name === "file" || name === "console")) {
+    throw new Error(`The ${name} transport cannot be used in production`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+};
+
+/**
+ * Record a single delivery attempt; logging failures never block delivery
+ */
+const recordAttempt = async (transportName, message, attempt, error) => {
+  const sql = `
+    INSERT INTO notification_delivery_log
+      (transport, recipient, subject, attempt, status, error_message, attempted_at)
+    VALUES (?, ?, ?, ?, ?, ?, NOW())
+  `;
+
+  try {
+    await query(sql, [
+      transportName,
+      message.to?.email || message.to?.mobile || null,
+      message.subject || null,
+      attempt,
+      error ? "FAILED" : "SENT",
+      error ? error.message : null,
+    ]);
+  } catch (logError) {
+    // Delivery outcome matters more than its log entry
+    logger.warn("Could not record notification attempt", { error: logError });
+  }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Deliver a message through the active transport, retrying with backoff
+ */
+const deliver = async (message) => {
+  const transport = getTransport();
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await transport.send(message);
+      await recordAttempt(transport.name, message, attempt, null);
+      return true;
+    } catch (error) {
+      lastError = error;
+      await recordAttempt(transport.name, message, attempt, error);
+      logger.warn("Notification delivery attempt failed", {
+        transport: transport.name,
+        attempt,
+        error,
+      });
+
+      if (attempt < MAX_ATTEMPTS) {
+        await wait(BASE_DELAY_MS * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  throw new Error(`Notification delivery failed after ${MAX_ATTEMPTS} attempts: ${lastError.message}`);
+};
+
+/**
+ * Check that the active transport can reach its backend
+ */
+const verifyTransport = async () => getTransport().verify();
+
+/**
+ * Release pooled connections held by the active transport
+ */
+const closeTransport = () => {
+  if (activeTransport) {
+    activeTransport.close();
+    activeTransport = null;
+  }
+};
+
+module.exports = {
+  deliver,
+  getTransport,
+  verifyTransport,
+  closeTransport,
+};
@@ -6,104 +6,168 @@
  *
  * Features:
  * - Secure OTP generation
- * - Email-based OTP delivery
+ * - Templated OTP delivery in the recipient's language
  * - OTP verification
- * - JWT token generation
+ * - JWT access and refresh token issuance
+ * - Single-use reset grant for password-reset OTPs
+ * - Request cooldowns, daily caps and verify lockout
+ * - Purpose- and subject-bound OTPs
+ * - Audit entries for requests and verifications
+ * - Schema-validated request bodies
+ * - Typed errors forwarded to the global handler
  */
 
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const { describe } = require("../openApi");
+const { validate } = require("../middlewares/validationMiddleware");
+const { requestOTPSchema, verifyOTPSchema } = require("../validators/validationSchemas");
 const {
+  OTP_PURPOSES,
+  SUBJECT_FIELDS,
+  findOTPRecipient,
   sendOTP,
   saveOrUpdateOTP,
   generateOTP,
   verifyOTP,
 } = require("../services/OTPService");
+const { reserveOTPRequest } = require("../services/OTPRateLimitService");
+const { issueTokenPair, issuePasswordResetGrant } = require("../services/TokenService");
+const { AUDIT_EVENTS, OUTCOMES, recordAuditEvent } = require("../services/AuditService");
+const { ERROR_CODES, RateLimitError } = require("../errors");
 
 const router = express.Router();
 
 /**
  * POST /request-otp
- * Generate and send OTP to user email
+ * Generate and send OTP to user email for a purpose and subject.
+ * The response is the same whether or not the email owns the subject,
+ * so it cannot be used to find out which pairs exist.
  */
-router.post("/request-otp", async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({
-        success: false,
-        message: "Email is required",
+router.post(
+  "/request-otp",
+  describe({
+    summary: "Send an OTP for a purpose and subject",
+    responses: { 429: "Cooldown or daily limit reached" },
+  }),
+  validate(requestOTPSchema),
+  async (req, res, next) => {
+    try {
+      const { email, purpose } = req.body;
+      const subjectId = req.body[SUBJECT_FIELDS[purpose]];
+
+      const auditEntry = {
+        event: AUDIT_EVENTS.OTP_REQUEST,
+        principal: { type: "applicant", id: subjectId },
+        resource: `${purpose}:${subjectId}`,
+      };
+
+      const limit = await reserveOTPRequest(email, req.ip);
+
+      if (!limit.allowed) {
+        await recordAuditEvent(req, {
+          ...auditEntry,
+          outcome: OUTCOMES.DENIED,
+          details: { email, reason: "RATE_LIMITED" },
+        });
+
+        throw new RateLimitError(limit.reason, { retryAfter: limit.retryAfter });
+      }
+
+      const recipient = await findOTPRecipient(purpose, subjectId, email);
+
+      if (recipient) {
+        const otp = await generateOTP();
+
+        // Stored first: a code is only ever sent once it can be verified
+        await saveOrUpdateOTP(email, otp, purpose, subjectId);
+        await sendOTP(email, otp, purpose, subjectId, recipient);
+
+        await recordAuditEvent(req, { ...auditEntry, outcome: OUTCOMES.SUCCESS, details: { email } });
+      } else {
+        await recordAuditEvent(req, {
+          ...auditEntry,
+          outcome: OUTCOMES.FAILURE,
+          details: { email, reason: "SUBJECT_MISMATCH" },
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "If the details match our records, an OTP has been sent",
       });
-    }
-
-    const otp = await generateOTP();
-
-    await sendOTP(email, otp);
-    await saveOrUpdateOTP(email, otp);
 
-    return res.status(200).json({
-      success: true,
-      message: "OTP sent successfully",
-    });
-
-  } catch {
-    return res.status(500).json({
-      success: false,
-      message: "Failed to process OTP request",
-    });
+    } catch (error) {
+      return next(error);
+    }
   }
-});
+);
 
 /**
  * POST /verify-otp
- * Verify OTP and generate JWT token
+ * Verify OTP and generate JWT token for the bound subject.
+ * A password-reset OTP earns a reset grant for POST /password-reset
+ * instead of an access/refresh pair.
  */
-router.post("/verify-otp", async (req, res) => {
-  try {
-    const { email, otp, ccatFormNo } = req.body;
-
-    if (!email || !otp || !ccatFormNo) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields",
+router.post(
+  "/verify-otp",
+  describe({
+    summary: "Verify an OTP and issue applicant tokens or a password reset grant",
+    responses: { 429: "Too many incorrect attempts" },
+  }),
+  validate(verifyOTPSchema),
+  async (req, res, next) => {
+    try {
+      const { email, otp, purpose } = req.body;
+      const subjectField = SUBJECT_FIELDS[purpose];
+      const subjectId = req.body[subjectField];
+
+      const auditEntry = {
+        event: AUDIT_EVENTS.OTP_VERIFY,
+        principal: { type: "applicant", id: subjectId },
+        resource: `${purpose}:${subjectId}`,
+      };
+
+      try {
+        await verifyOTP(email, otp, purpose, subjectId);
+      } catch (error) {
+        await recordAuditEvent(req, {
+          ...auditEntry,
+          outcome: OUTCOMES.FAILURE,
+          details: { email, reason: error.code, locked: error.code === ERROR_CODES.OTP_LOCKED },
+        });
+        throw error;
+      }
+
+      await recordAuditEvent(req, { ...auditEntry, outcome: OUTCOMES.SUCCESS, details: { email } });
+
+      if (purpose === OTP_PURPOSES.PASSWORD_RESET) {
+        const { resetToken, expiresIn } = issuePasswordResetGrant(subjectId);
+
+        return res.status(200).json({
+          success: true,
+          message: "OTP verified successfully",
+          resetToken,
+          expiresIn,
+        });
+      }
+
+      const { accessToken, refreshToken, expiresIn } = await issueTokenPair({
+        [subjectField]: subjectId,
+        purpose,
       });
-    }
-
-    const isVerified = await verifyOTP(email, otp);
 
-    if (!isVerified) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid or expired OTP",
+      return res.status(200).json({
+        success: true,
+        message: "OTP verified successfully",
+        token: accessToken,
+        refreshToken,
+        expiresIn,
       });
-    }
 
-    if (!process.env.JWT_SECRET) {
-      return res.status(500).json({
-        success: false,
-        message: "Token configuration error",
-      });
+    } catch (error) {
+      return next(error);
     }
-
-    const token = jwt.sign(
-      { ccatFormNo },
-      process.env.JWT_SECRET,
-      { expiresIn: "15m" }
-    );
-
-    return res.status(200).json({
-      success: true,
-      message: "OTP verified successfully",
-      token,
-    });
-
-  } catch {
-    return res.status(500).json({
-      success: false,
-      message: "Error verifying OTP",
-    });
   }
-});
+);
 
 module.exports = router;
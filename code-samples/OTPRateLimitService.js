@@ -0,0 +1,102 @@
+/**
+ * OTPRateLimitService
+ * ----------------------------------------
+ * Throttles OTP requests per email and per client IP.
+ *
+ * Features:
+ * - Cooldown between consecutive OTP requests
+ * - Rolling 24-hour cap per email and per IP
+ * - Retry-After calculation for 429 responses
+ *
+ * Counters are kept in the `otp_request_log` table
+ * (request_id, email_id, ip_address, requested_at) so that limits
+ * hold across every Node instance behind Nginx.
+ */
+
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+
+const RESEND_COOLDOWN_SECONDS = config.otp.resendCooldownSeconds;
+const DAILY_LIMIT_PER_EMAIL = config.otp.dailyLimitPerEmail;
+const DAILY_LIMIT_PER_IP = config.otp.dailyLimitPerIp;
+
+const releaseReservation = (requestId) =>
+  query(
+    "DELETE FROM otp_request_log WHERE request_id = ?",
+    [requestId],
+    "Database error while releasing OTP request"
+  );
+
+/**
+ * Reserve a slot for a new OTP request, or refuse it.
+ * The request is logged first and then checked against the requests
+ * logged before it, so concurrent requests cannot all pass a count
+ * taken before any of them was recorded. Refused requests are removed
+ * again and do not count.
+ * Resolves with { allowed, retryAfter, reason }.
+ */
+const reserveOTPRequest = async (email, ipAddress) => {
+  const { insertId: requestId } = await query(
+    `INSERT INTO otp_request_log (email_id, ip_address, requested_at)
+     VALUES (?, ?, NOW())`,
+    [email, ipAddress],
+    "Database error while recording OTP request"
+  );
+
+  const sql = `
+    SELECT
+      COALESCE(SUM(email_id = ?), 0) AS email_count,
+      COALESCE(SUM(ip_address = ?), 0) AS ip_count,
+      TIMESTAMPDIFF(SECOND, MAX(CASE WHEN email_id = ? THEN requested_at END), NOW()) AS since_last_email,
+      TIMESTAMPDIFF(SECOND, NOW(), DATE_ADD(MIN(CASE WHEN email_id = ? THEN requested_at END), INTERVAL 1 DAY)) AS email_window_reset,
+      TIMESTAMPDIFF(SECOND, NOW(), DATE_ADD(MIN(CASE WHEN ip_address = ? THEN requested_at END), INTERVAL 1 DAY)) AS ip_window_reset
+    FROM otp_request_log
+    WHERE requested_at > DATE_SUB(NOW(), INTERVAL 1 DAY)
+      AND request_id < ?
+      AND (email_id = ? OR ip_address = ?)
+  `;
+
+  let row;
+
+  try {
+    [row] = await query(
+      sql,
+      [email, ipAddress, email, email, ipAddress, requestId, email, ipAddress],
+      "Database error while checking OTP limits"
+    );
+  } catch (error) {
+    await releaseReservation(requestId).catch(() => {});
+    throw error;
+  }
+
+  let refusal = null;
+
+  if (Number(row.email_count) >= DAILY_LIMIT_PER_EMAIL) {
+    refusal = {
+      retryAfter: Math.max(Number(row.email_window_reset), 1),
+      reason: "Daily OTP limit reached for this email",
+    };
+  } else if (Number(row.ip_count) >= DAILY_LIMIT_PER_IP) {
+    refusal = {
+      retryAfter: Math.max(Number(row.ip_window_reset), 1),
+      reason: "Too many OTP requests from this network",
+    };
+  } else if (row.since_last_email !== null && Number(row.since_last_email) < RESEND_COOLDOWN_SECONDS) {
+    refusal = {
+      retryAfter: RESEND_COOLDOWN_SECONDS - Number(row.since_last_email),
+      reason: "Please wait before requesting another OTP",
+    };
+  }
+
+  if (refusal) {
+    await releaseReservation(requestId);
+    return { allowed: false, ...refusal };
+  }
+
+  return { allowed: true, retryAfter: 0, reason: null };
+};
+
+module.exports = {
+  RESEND_COOLDOWN_SECONDS,
+  reserveOTPRequest,
+};
@@ -0,0 +1,284 @@
+/**
+ * OTPRepository
+ * ----------------------------------------
+ * Storage for issued OTPs behind a promise-based
+ * interface, with MySQL and in-memory adapters.
+ *
+ * Features:
+ * - One live OTP per email and purpose (issuing again replaces it)
+ * - Atomic consume: a code can be used by exactly one request
+ * - Verify attempts claimed atomically before the code is compared,
+ *   so parallel guesses cannot exceed the limit
+ * - Locked codes (attempts used up) kept until they expire, so
+ *   further attempts are reported as locked rather than not found
+ * - Periodic purge of expired rows, locked or not
+ * - In-memory adapter for tests and local work without a database
+ *
+ * The adapter is chosen with OTP_STORE (mysql | memory). Stored
+ * records have the shape
+ * { id, email, purpose, subjectId, otpHash, legacyOtp, failedAttempts, expired };
+ * purpose and subjectId are null for rows issued before OTPs were
+ * bound to a purpose.
+ */
+
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { logger } = require("../logger");
+
+const mapRow = (row) => ({
+  id: row.otp_id,
+  email: row.email_id,
+  purpose: row.purpose,
+  subjectId: row.subject_id,
+  otpHash: row.otp_hash,
+  legacyOtp: row.otp,
+  failedAttempts: row.failed_attempts,
+  expired: !row.is_live,
+});
+
+/**
+ * MySQL adapter over the otps table (unique key on email_id, purpose)
+ */
+const createMySqlRepository = () => {
+  return {
+    name: "mysql",
+
+    save: async ({ email, purpose, subjectId, otpHash, ttlMinutes }) => {
+      await query(
+        `INSERT INTO otps (email_id, purpose, subject_id, otp, otp_hash, expiry_time, failed_attempts)
+         VALUES (?, ?, ?, NULL, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), 0)
+         ON DUPLICATE KEY UPDATE
+           subject_id = VALUES(subject_id),
+           otp = NULL,
+           otp_hash = VALUES(otp_hash),
+           expiry_time = VALUES(expiry_time),
+           failed_attempts = 0`,
+        [email, purpose, subjectId, otpHash, ttlMinutes],
+        "Database error while saving OTP"
+      );
+    },
+
+    // With includeLegacy, falls back to a row issued before OTPs carried a
+    // purpose (purpose and subject_id NULL); a row for the purpose wins.
+    find: async (email, purpose, { includeLegacy = false } = {}) => {
+      const rows = await query(
+        `SELECT otp_id, email_id, purpose, subject_id, otp, otp_hash, failed_attempts,
+           expiry_time > NOW() AS is_live
+         FROM otps
+         WHERE email_id = ? AND (purpose = ? OR (? AND purpose IS NULL))
+         ORDER BY purpose IS NULL
+         LIMIT 1`,
+        [email, purpose, includeLegacy],
+        "Database error while verifying OTP"
+      );
+
+      return rows[0] ? mapRow(rows[0]) : null;
+    },
+
+    // Takes one attempt from the code's allowance before it is compared.
+    // failed_attempts counts claimed attempts; a successful one deletes the row.
+    // Resolves with the attempt number, or 0 when none is left (or the code
+    // was replaced or consumed since it was read). LAST_INSERT_ID(expr)
+    // returns the new count in the same statement.
+    claimAttempt: async (record, maxAttempts) => {
+      const result = await query(
+        `UPDATE otps SET failed_attempts = LAST_INSERT_ID(failed_attempts + 1)
+         WHERE otp_id = ?
+           AND otp_hash <=> ?
+           AND otp <=> ?
+           AND expiry_time > NOW()
+           AND failed_attempts < ?`,
+        [record.id, record.otpHash, record.legacyOtp, maxAttempts],
+        "Database error while recording OTP attempt"
+      );
+
+      return result.affectedRows === 1 ? Number(result.insertId) : 0;
+    },
+
+    // Deletes the exact code that was verified, only while it is still live.
+    // A concurrent consume or a reissue leaves affectedRows at 0.
+    consume: async (record) => {
+      const result = await query(
+        `DELETE FROM otps
+         WHERE otp_id = ?
+           AND otp_hash <=> ?
+           AND otp <=> ?
+           AND expiry_time > NOW()`,
+        [record.id, record.otpHash, record.legacyOtp],
+        "Database error while consuming OTP"
+      );
+
+      return result.affectedRows === 1;
+    },
+
+    purgeExpired: async () => {
+      const result = await query(
+        "DELETE FROM otps WHERE expiry_time <= NOW()",
+        [],
+        "Database error while purging expired OTPs"
+      );
+
+      return result.affectedRows;
+    },
+  };
+};
+
+/**
+ * In-memory adapter; same semantics as MySQL for a single process
+ */
+const createMemoryRepository = () => {
+  const records = new Map();
+  let nextId = 1;
+
+  const keyFor = (email, purpose) => `${email}\u0000${purpose}`;
+  const isLive = (stored, now = Date.now()) => stored.expiresAt > now;
+  const isSameCode = (stored, record) =>
+    Boolean(stored) && stored.id === record.id && stored.otpHash === record.otpHash;
+
+  const toRecord = (stored) => ({
+    id: stored.id,
+    email: stored.email,
+    purpose: stored.purpose,
+    subjectId: stored.subjectId,
+    otpHash: stored.otpHash,
+    legacyOtp: null,
+    failedAttempts: stored.failedAttempts,
+    expired: !isLive(stored),
+  });
+
+  return {
+    name: "memory",
+
+    save: async ({ email, purpose, subjectId, otpHash, ttlMinutes }) => {
+      const key = keyFor(email, purpose);
+      const existing = records.get(key);
+
+      records.set(key, {
+        id: existing ? existing.id : nextId++,
+        email,
+        purpose,
+        subjectId: String(subjectId),
+        otpHash,
+        failedAttempts: 0,
+        expiresAt: Date.now() + ttlMinutes * 60 * 1000,
+      });
+    },
+
+    // Never holds legacy rows, so includeLegacy has nothing to fall back to
+    find: async (email, purpose) => {
+      const stored = records.get(keyFor(email, purpose));
+      return stored ? toRecord(stored) : null;
+    },
+
+    claimAttempt: async (record, maxAttempts) => {
+      const stored = records.get(keyFor(record.email, record.purpose));
+
+      if (!isSameCode(stored, record) || !isLive(stored) || stored.failedAttempts >= maxAttempts) {
+        return 0;
+      }
+
+      stored.failedAttempts += 1;
+      return stored.failedAttempts;
+    },
+
+    consume: async (record) => {
+      const key = keyFor(record.email, record.purpose);
+      const stored = records.get(key);
+
+      if (!isSameCode(stored, record) || !isLive(stored)) {
+        return false;
+      }
+
+      records.delete(key);
+      return true;
+    },
+
+    purgeExpired: async () => {
+      const now = Date.now();
+      let purged = 0;
+
+      for (const [key, stored] of records) {
+        if (!isLive(stored, now)) {
+          records.delete(key);
+          purged++;
+        }
+      }
+
+      return purged;
+    },
+  };
+};
+
+const repositoryFactories = {
+  mysql: createMySqlRepository,
+  memory: createMemoryRepository,
+};
+
+let activeRepository = null;
+let purgeTimer = null;
+
+/**
+ * Resolve (and cache) the configured repository
+ */
+const getOTPRepository = () => {
+  if (activeRepository) {
+    return activeRepository;
+  }
+
+  const name = config.otp.store;
+  const factory = repositoryFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown OTP store: ${name}`);
+  }
+
+  activeRepository = factory();
+  return activeRepository;
+};
+
+/**
+ * Replace the active repository (tests)
+ */
+const setOTPRepository = (repository) => {
+  activeRepository = repository;
+};
+
+/**
+ * Purge expired OTPs every OTP_PURGE_INTERVAL_MINUTES
+ */
+const startExpiredOTPPurge = () => {
+  if (purgeTimer) {
+    return;
+  }
+
+  purgeTimer = setInterval(async () => {
+    try {
+      const purged = await getOTPRepository().purgeExpired();
+
+      if (purged > 0) {
+        logger.debug("Expired OTPs purged", { purged });
+      }
+    } catch (error) {
+      logger.warn("Could not purge expired OTPs", { error });
+    }
+  }, config.otp.purgeIntervalMinutes * 60 * 1000);
+
+  // Never keeps the process alive on its own
+  purgeTimer.unref();
+};
+
+const stopExpiredOTPPurge = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  createMySqlRepository,
+  createMemoryRepository,
+  getOTPRepository,
+  setOTPRepository,
+  startExpiredOTPPurge,
+  stopExpiredOTPPurge,
+};
@@ -0,0 +1,111 @@
+require("./testSetup");
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryRepository } = require("../services/OTPRepository");
+
+const EMAIL = "applicant@example.com";
+const PURPOSE = "registration";
+const MAX_ATTEMPTS = 3;
+
+const issue = (repository, overrides = {}) =>
+  repository.save({
+    email: EMAIL,
+    purpose: PURPOSE,
+    subjectId: "240101",
+    otpHash: "hash-1",
+    ttlMinutes: 10,
+    ...overrides,
+  });
+
+describe("memory OTP repository", () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = createMemoryRepository();
+  });
+
+  it("finds an issued OTP by email and purpose only", async () => {
+    await issue(repository);
+
+    const record = await repository.find(EMAIL, PURPOSE);
+
+    assert.equal(record.subjectId, "240101");
+    assert.equal(record.failedAttempts, 0);
+    assert.equal(record.expired, false);
+    assert.equal(await repository.find(EMAIL, "password-reset"), null);
+  });
+
+  it("numbers claimed attempts and refuses them past the limit", async () => {
+    await issue(repository);
+    const record = await repository.find(EMAIL, PURPOSE);
+
+    assert.equal(await repository.claimAttempt(record, MAX_ATTEMPTS), 1);
+    assert.equal(await repository.claimAttempt(record, MAX_ATTEMPTS), 2);
+    assert.equal(await repository.claimAttempt(record, MAX_ATTEMPTS), 3);
+    assert.equal(await repository.claimAttempt(record, MAX_ATTEMPTS), 0);
+  });
+
+  it("lets parallel claims take no more attempts than the limit", async () => {
+    await issue(repository);
+    const record = await repository.find(EMAIL, PURPOSE);
+
+    const attempts = await Promise.all(
+      Array.from({ length: 10 }, () => repository.claimAttempt(record, MAX_ATTEMPTS))
+    );
+
+    assert.deepEqual(attempts.filter((attempt) => attempt > 0).sort(), [1, 2, 3]);
+  });
+
+  it("keeps a locked OTP until it is reissued", async () => {
+    await issue(repository);
+    const record = await repository.find(EMAIL, PURPOSE);
+
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      await repository.claimAttempt(record, MAX_ATTEMPTS);
+    }
+
+    assert.equal((await repository.find(EMAIL, PURPOSE)).failedAttempts, MAX_ATTEMPTS);
+
+    await issue(repository, { otpHash: "hash-2" });
+    assert.equal((await repository.find(EMAIL, PURPOSE)).failedAttempts, 0);
+  });
+
+  it("consumes a code exactly once", async () => {
+    await issue(repository);
+    const record = await repository.find(EMAIL, PURPOSE);
+
+    const results = await Promise.all([repository.consume(record), repository.consume(record)]);
+
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.equal(await repository.find(EMAIL, PURPOSE), null);
+  });
+
+  it("does not consume or claim a code that has been replaced", async () => {
+    await issue(repository);
+    const stale = await repository.find(EMAIL, PURPOSE);
+    await issue(repository, { otpHash: "hash-2" });
+
+    assert.equal(await repository.claimAttempt(stale, MAX_ATTEMPTS), 0);
+    assert.equal(await repository.consume(stale), false);
+    assert.notEqual(await repository.find(EMAIL, PURPOSE), null);
+  });
+
+  it("reports expired codes and refuses to claim or consume them", async () => {
+    await issue(repository, { ttlMinutes: 0 });
+    const record = await repository.find(EMAIL, PURPOSE);
+
+    assert.equal(record.expired, true);
+    assert.equal(await repository.claimAttempt(record, MAX_ATTEMPTS), 0);
+    assert.equal(await repository.consume(record), false);
+  });
+
+  it("purges expired codes only", async () => {
+    await issue(repository, { ttlMinutes: 0 });
+    await issue(repository, { email: "other@example.com" });
+
+    assert.equal(await repository.purgeExpired(), 1);
+    assert.equal(await repository.find(EMAIL, PURPOSE), null);
+    assert.notEqual(await repository.find("other@example.com", PURPOSE), null);
+  });
+});
@@ -5,109 +5,254 @@
  * database storage, and verification.
  *
  * Features:
- * - 6-digit OTP generation
- * - Email-based OTP delivery
- * - Expiry validation (10 minutes)
+ * - CSPRNG-based 6-digit OTP generation
+ * - OTP delivery through the configured notification transport
+ * - Expiry validation (OTP_EXPIRY_MINUTES, default 10)
+ * - Templated, bilingual OTP emails
  * - One-time OTP consumption
+ * - Failed-attempt lockout per issued OTP (kept until the OTP expires
+ *   or a new one is requested)
+ * - HMAC-hashed storage with timing-safe comparison
+ * - Purpose and subject (CCAT form number / username) binding
+ * - Typed errors (OTP_EXPIRED, OTP_INVALID, OTP_LOCKED, ...)
+ *
+ * Storage goes through OTPRepository (MySQL or in-memory).
  */
 
-const nodemailer = require("nodemailer");
-const pool = require("../config/db");
+const crypto = require("crypto");
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { getOTPRepository } = require("./OTPRepository");
+const { deliver } = require("./NotificationTransport");
+const { renderTemplate } = require("./EmailTemplateService");
+const { RESEND_COOLDOWN_SECONDS } = require("./OTPRateLimitService");
+const {
+  ERROR_CODES,
+  ValidationError,
+  RateLimitError,
+  ExternalServiceError,
+} = require("../errors");
+
+const MAX_VERIFY_ATTEMPTS = config.otp.maxVerifyAttempts;
+const OTP_EXPIRY_MINUTES = config.otp.expiryMinutes;
+
+const OTP_PURPOSES = Object.freeze({
+  REGISTRATION: "registration",
+  RE_REGISTRATION: "re-registration",
+  DOCUMENT_REUPLOAD: "document-reupload",
+  PASSWORD_RESET: "password-reset",
+});
+
+/**
+ * Request-body field carrying the subject identifier for each purpose
+ */
+const SUBJECT_FIELDS = Object.freeze({
+  [OTP_PURPOSES.REGISTRATION]: "ccatFormNo",
+  [OTP_PURPOSES.RE_REGISTRATION]: "ccatFormNo",
+  [OTP_PURPOSES.DOCUMENT_REUPLOAD]: "ccatFormNo",
+  [OTP_PURPOSES.PASSWORD_RESET]: "username",
+});
 
 /**
- * Generate a random 6-digit OTP
+ * Purposes whose verified OTP starts an applicant token session.
+ * A password reset only earns a single-use reset grant.
+ */
+const APPLICANT_PURPOSES = Object.freeze([
+  OTP_PURPOSES.REGISTRATION,
+  OTP_PURPOSES.RE_REGISTRATION,
+  OTP_PURPOSES.DOCUMENT_REUPLOAD,
+]);
+
+/**
+ * Purposes that still accept OTPs issued before purposes existed.
+ * Those were sent by the applicant flow and bound to the email only;
+ * password resets never used them. They expire with OTP_EXPIRY_MINUTES.
+ */
+const LEGACY_OTP_PURPOSES = Object.freeze([
+  OTP_PURPOSES.REGISTRATION,
+  OTP_PURPOSES.RE_REGISTRATION,
+  OTP_PURPOSES.DOCUMENT_REUPLOAD,
+]);
+
+const isValidPurpose = (purpose) => Object.values(OTP_PURPOSES).includes(purpose);
+
+/**
+ * Generate a random 6-digit OTP using a CSPRNG
  */
 const generateOTP = async () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 /**
- * Send OTP via email
+ * Compute the keyed hash stored in place of the OTP
  */
-const sendOTP = async (email, otp) => {
-  const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD,
-    },
-  });
+const hashOTP = (otp) => {
+  return crypto
+    .createHmac("sha256", config.otp.hashSecret)
+    .update(String(otp))
+    .digest("hex");
+};
 
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: "Registration OTP",
-    text: `Your OTP is ${otp}. It is valid for 10 minutes.`,
-    html: `<p>Your OTP is <strong>${otp}</strong>. It is valid for 10 minutes.</p>`,
-  };
+/**
+ * Constant-time comparison of an entered OTP against a stored record.
+ * Rows written before hashing was introduced still carry the
+ * plaintext code and are accepted until they expire.
+ */
+const matchesStoredOTP = (record, enteredOTP) => {
+  const expected = record.otpHash
+    ? Buffer.from(record.otpHash, "hex")
+    : Buffer.from(hashOTP(record.legacyOtp || ""), "hex");
+  const actual = Buffer.from(hashOTP(enteredOTP), "hex");
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Send OTP through the configured transport (SMTP, SMS, file or console),
+ * rendered in the recipient's preferred language
+ */
+const sendOTP = async (email, otp, purpose, subjectId, recipient = {}) => {
+  const templateName = purpose === OTP_PURPOSES.PASSWORD_RESET ? "password-reset-otp" : "otp";
+  const content = renderTemplate(
+    templateName,
+    {
+      otp,
+      purpose,
+      applicantName: recipient.name || "Applicant",
+      [SUBJECT_FIELDS[purpose]]: subjectId,
+      expiryMinutes: OTP_EXPIRY_MINUTES,
+    },
+    recipient.preferredLanguage
+  );
 
   try {
-    await transporter.sendMail(mailOptions);
+    await deliver({ to: { email, mobile: recipient.mobile || null }, ...content });
     return true;
-  } catch {
-    throw new Error("Failed to send OTP email");
+  } catch (error) {
+    throw new ExternalServiceError("Failed to send OTP", {
+      code: ERROR_CODES.OTP_DELIVERY_FAILED,
+      cause: error,
+    });
   }
 };
 
 /**
- * Save or update OTP with expiry (10 minutes)
+ * Look up the owner of the subject an OTP is requested for.
+ * Resolves with { name, preferredLanguage, mobile } when the subject
+ * belongs to the email, otherwise null.
  */
-const saveOrUpdateOTP = async (email, otp) => {
-  const query = `
-    INSERT INTO otps (email_id, otp, expiry_time)
-    VALUES (?, ?, DATE_ADD(NOW(), INTERVAL 10 MINUTE))
-    ON DUPLICATE KEY UPDATE
-      otp = VALUES(otp),
-      expiry_time = DATE_ADD(NOW(), INTERVAL 10 MINUTE)
-  `;
-
-  return new Promise((resolve, reject) => {
-    pool.query(query, [email, otp], (err, results) => {
-      if (err) {
-        return reject(new Error("Database error while saving OTP"));
-      }
-      resolve(results);
-    });
+const findOTPRecipient = async (purpose, subjectId, email) => {
+  const sql = purpose === OTP_PURPOSES.PASSWORD_RESET
+    ? `SELECT full_name AS name, preferred_language, mobile_no FROM users
+       WHERE username = ? AND email_id = ? LIMIT 1`
+    : `SELECT applicant_name AS name, preferred_language, mobile_no FROM ccat_applicants
+       WHERE ccat_form_no = ? AND email_id = ? LIMIT 1`;
+
+  const rows = await query(sql, [subjectId, email], "Database error while checking OTP subject");
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    name: rows[0].name,
+    preferredLanguage: rows[0].preferred_language,
+    mobile: rows[0].mobile_no,
+  };
+};
+
+/**
+ * Save or update OTP with expiry (OTP_EXPIRY_MINUTES).
+ * Only one live OTP exists per email and purpose, bound to one subject.
+ */
+const saveOrUpdateOTP = async (email, otp, purpose, subjectId) => {
+  await getOTPRepository().save({
+    email,
+    purpose,
+    subjectId: String(subjectId),
+    otpHash: hashOTP(otp),
+    ttlMinutes: OTP_EXPIRY_MINUTES,
   });
 };
 
+const lockedError = () =>
+  new RateLimitError("Too many incorrect attempts. Please request a new OTP", {
+    code: ERROR_CODES.OTP_LOCKED,
+    retryAfter: RESEND_COOLDOWN_SECONDS,
+  });
+
+const notFoundError = () =>
+  new ValidationError("No OTP has been requested. Please request a new OTP", {
+    code: ERROR_CODES.OTP_NOT_FOUND,
+  });
+
 /**
- * Verify OTP and delete after successful validation
+ * Verify OTP and consume it.
+ * The email, purpose and subject must all match the issued OTP;
+ * a subject mismatch counts as a failed attempt. OTPs issued before
+ * purposes existed are checked against the email only.
+ * Each attempt is claimed atomically before the comparison, and
+ * consumption is atomic, so of two concurrent requests with the
+ * same code only one succeeds.
+ * Resolves true, otherwise rejects with OTP_NOT_FOUND, OTP_EXPIRED,
+ * OTP_INVALID (ValidationError) or OTP_LOCKED (RateLimitError).
  */
-const verifyOTP = async (email, enteredOTP) => {
-  const query = `
-    SELECT otp_id FROM otps
-    WHERE email_id = ?
-      AND otp = ?
-      AND expiry_time > NOW()
-    LIMIT 1
-  `;
-
-  return new Promise((resolve, reject) => {
-    pool.query(query, [email, enteredOTP], (err, results) => {
-      if (err) {
-        return reject(new Error("Database error while verifying OTP"));
-      }
-
-      if (results.length === 0) {
-        return resolve(false);
-      }
-
-      const deleteQuery = "DELETE FROM otps WHERE otp_id = ?";
-
-      pool.query(deleteQuery, [results[0].otp_id], (deleteErr) => {
-        if (deleteErr) {
-          return reject(new Error("Database error while deleting OTP"));
-        }
-        resolve(true);
-      });
-    });
+const verifyOTP = async (email, enteredOTP, purpose, subjectId) => {
+  const repository = getOTPRepository();
+  const record = await repository.find(email, purpose, {
+    includeLegacy: LEGACY_OTP_PURPOSES.includes(purpose),
   });
+
+  if (!record) {
+    throw notFoundError();
+  }
+
+  if (record.expired) {
+    throw new ValidationError("OTP expired. Please request a new OTP", {
+      code: ERROR_CODES.OTP_EXPIRED,
+    });
+  }
+
+  if (record.failedAttempts >= MAX_VERIFY_ATTEMPTS) {
+    throw lockedError();
+  }
+
+  // Claimed before comparing: parallel guesses each use up an attempt
+  const attempt = await repository.claimAttempt(record, MAX_VERIFY_ATTEMPTS);
+
+  if (attempt === 0) {
+    throw lockedError();
+  }
+
+  const otpMatches = matchesStoredOTP(record, enteredOTP);
+
+  // Legacy OTPs were bound to the email only
+  const subjectMatches = record.purpose === null || record.subjectId === String(subjectId);
+
+  if (!otpMatches || !subjectMatches) {
+    // The row stays, so later attempts get OTP_LOCKED until it expires
+    if (attempt >= MAX_VERIFY_ATTEMPTS) {
+      throw lockedError();
+    }
+
+    throw new ValidationError("Incorrect OTP", { code: ERROR_CODES.OTP_INVALID });
+  }
+
+  // Another request consumed or replaced the code since it was read
+  if (!(await repository.consume(record))) {
+    throw notFoundError();
+  }
+
+  return true;
 };
 
 module.exports = {
+  OTP_PURPOSES,
+  SUBJECT_FIELDS,
+  APPLICANT_PURPOSES,
+  isValidPurpose,
+  OTP_EXPIRY_MINUTES,
+  findOTPRecipient,
   generateOTP,
   sendOTP,
   saveOrUpdateOTP,
@@ -0,0 +1,71 @@
+require("./testSetup");
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config/env");
+const { ERROR_CODES } = require("../errors");
+const { createMemoryRepository, setOTPRepository } = require("../services/OTPRepository");
+const { OTP_PURPOSES, saveOrUpdateOTP, verifyOTP } = require("../services/OTPService");
+
+const EMAIL = "applicant@example.com";
+const PURPOSE = OTP_PURPOSES.REGISTRATION;
+const SUBJECT = "240101";
+const OTP = "123456";
+const WRONG_OTP = "654321";
+const MAX_ATTEMPTS = config.otp.maxVerifyAttempts;
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => error.code === code);
+
+describe("verifyOTP with the memory repository", () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = createMemoryRepository();
+    setOTPRepository(repository);
+    await saveOrUpdateOTP(EMAIL, OTP, PURPOSE, SUBJECT);
+  });
+
+  it("accepts the issued code once", async () => {
+    assert.equal(await verifyOTP(EMAIL, OTP, PURPOSE, SUBJECT), true);
+    await rejectsWith(verifyOTP(EMAIL, OTP, PURPOSE, SUBJECT), ERROR_CODES.OTP_NOT_FOUND);
+  });
+
+  it("rejects the code for another purpose or subject", async () => {
+    await rejectsWith(verifyOTP(EMAIL, OTP, OTP_PURPOSES.RE_REGISTRATION, SUBJECT), ERROR_CODES.OTP_NOT_FOUND);
+    await rejectsWith(verifyOTP(EMAIL, OTP, PURPOSE, "240102"), ERROR_CODES.OTP_INVALID);
+  });
+
+  it("locks the code after the last allowed failure, even for the right code", async () => {
+    for (let i = 1; i < MAX_ATTEMPTS; i++) {
+      await rejectsWith(verifyOTP(EMAIL, WRONG_OTP, PURPOSE, SUBJECT), ERROR_CODES.OTP_INVALID);
+    }
+
+    await rejectsWith(verifyOTP(EMAIL, WRONG_OTP, PURPOSE, SUBJECT), ERROR_CODES.OTP_LOCKED);
+    await rejectsWith(verifyOTP(EMAIL, OTP, PURPOSE, SUBJECT), ERROR_CODES.OTP_LOCKED);
+  });
+
+  it("lets at most the allowed number of parallel guesses through", async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: MAX_ATTEMPTS + 5 }, () => verifyOTP(EMAIL, WRONG_OTP, PURPOSE, SUBJECT))
+    );
+    const invalid = results.filter((result) => result.reason?.code === ERROR_CODES.OTP_INVALID);
+
+    assert.equal(invalid.length, MAX_ATTEMPTS - 1);
+    assert.ok(results.every((result) => result.status === "rejected"));
+  });
+
+  it("reports an expired code", async () => {
+    await repository.save({ email: EMAIL, purpose: PURPOSE, subjectId: SUBJECT, otpHash: "x", ttlMinutes: 0 });
+
+    await rejectsWith(verifyOTP(EMAIL, OTP, PURPOSE, SUBJECT), ERROR_CODES.OTP_EXPIRED);
+  });
+
+  it("starts a new allowance when a code is reissued", async () => {
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      await verifyOTP(EMAIL, WRONG_OTP, PURPOSE, SUBJECT).catch(() => {});
+    }
+
+    await saveOrUpdateOTP(EMAIL, OTP, PURPOSE, SUBJECT);
+    assert.equal(await verifyOTP(EMAIL, OTP, PURPOSE, SUBJECT), true);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * PermissionController
+ * ----------------------------------------
+ * Exposes the current principal's effective
+ * permissions to the frontend.
+ *
+ * Features:
+ * - Single source of truth for React Router guards
+ * - Centre scope per permission
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { isAuthenticated, loadPermissions } = require("../middlewares/authenticationMiddleware");
+const { toPermissionList } = require("../services/PermissionService");
+
+const router = express.Router();
+
+/**
+ * GET /permissions
+ * Return roles and effective permissions of the current principal
+ */
+router.get(
+  "/permissions",
+  describe({ summary: "Roles and effective permissions of the current principal" }),
+  isAuthenticated([]),
+  async (req, res, next) => {
+    try {
+      const permissions = await loadPermissions(req);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          id: req.principal.id,
+          type: req.principal.type,
+          roles: req.principal.roles,
+          permissions: toPermissionList(permissions),
+        },
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
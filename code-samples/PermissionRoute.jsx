@@ -0,0 +1,93 @@
+/**
+ * PermissionRoute Component
+ * ----------------------------------------
+ * React Router v6 guard driven by the backend's
+ * effective permissions (GET /api/v1/auth/permissions).
+ *
+ * Features:
+ * - Shared permission source with the API
+ * - Optional centre scope check
+ * - Loading state while permissions are fetched
+ * - Redirects to login (401) or unauthorized page (403)
+ *
+ * Props:
+ * @param {string} permission - Required permission, e.g. "documents:verify"
+ * @param {number} [centreId] - Centre the route's data belongs to
+ */
+
+import React, { useEffect, useState } from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { Box, CircularProgress } from "@mui/material";
+import axiosInstance from "../../../../AxiosInstance";
+
+export const hasPermission = (permissions, permission, centreId) => {
+  const grant = permissions.find((p) => p.permission === permission);
+
+  if (!grant) return false;
+  if (grant.global || centreId === undefined || centreId === null) return true;
+
+  return grant.centres.includes(Number(centreId));
+};
+
+export const usePermissions = () => {
+  const [state, setState] = useState({
+    loading: true,
+    authenticated: false,
+    permissions: [],
+  });
+
+  useEffect(() => {
+    let active = true;
+
+    const fetchPermissions = async () => {
+      try {
+        const { data } = await axiosInstance.get("/api/v1/auth/permissions");
+
+        if (active && data?.success) {
+          setState({
+            loading: false,
+            authenticated: true,
+            permissions: data.data.permissions || [],
+          });
+        }
+      } catch {
+        if (active) {
+          setState({ loading: false, authenticated: false, permissions: [] });
+        }
+      }
+    };
+
+    fetchPermissions();
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return state;
+};
+
+const PermissionRoute = ({ permission, centreId }) => {
+  const location = useLocation();
+  const { loading, authenticated, permissions } = usePermissions();
+
+  if (loading) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", mt: 3 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!authenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (!hasPermission(permissions, permission, centreId)) {
+    return <Navigate to="/unauthorized" replace />;
+  }
+
+  return <Outlet />;
+};
+
+export default PermissionRoute;
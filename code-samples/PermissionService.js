@@ -0,0 +1,113 @@
+/**
+ * PermissionService
+ * ----------------------------------------
+ * Resolves fine-grained, centre-scoped permissions
+ * from the database role model.
+ *
+ * Features:
+ * - Role to permission mapping stored in MySQL
+ * - Role assignments limited to one or more centres
+ * - Effective permission lookup per principal
+ * - Scope check against a resource's centre
+ *
+ * Tables:
+ * - roles (role_id, role_name, requires_two_factor, max_concurrent_sessions)
+ * - permissions (permission_id, permission_key)
+ * - role_permissions (role_id, permission_id)
+ * - user_role_assignments (user_id, role_id, centre_id)
+ *   centre_id NULL means the assignment applies to every centre
+ */
+
+const { query } = require("../dbUtils");
+
+const PERMISSIONS = Object.freeze({
+  DASHBOARD_ADMIN: "dashboard:admin",
+  DOCUMENTS_VIEW: "documents:view",
+  DOCUMENTS_VERIFY: "documents:verify",
+  FEEDBACK_SUBMIT: "feedback:submit",
+  FEEDBACK_VIEW_REPORTS: "feedback:view-reports",
+  ATTENDANCE_VIEW: "attendance:view",
+  TEMPLATES_PREVIEW: "templates:preview",
+  USERS_RESET_TWO_FACTOR: "users:reset-2fa",
+  USERS_FORCE_LOGOUT: "users:force-logout",
+  AUDIT_VIEW: "audit:view",
+  HEALTH_VIEW_DETAILS: "health:view-details",
+});
+
+/**
+ * Load effective permissions for a principal.
+ * Resolves with a Map of permission -> { global, centres: Set }.
+ */
+const getEffectivePermissions = async (principal) => {
+  const rows = principal.type === "staff"
+    ? await query(
+      `SELECT p.permission_key, ura.centre_id
+       FROM user_role_assignments ura
+       JOIN role_permissions rp ON rp.role_id = ura.role_id
+       JOIN permissions p ON p.permission_id = rp.permission_id
+       WHERE ura.user_id = ?`,
+      [principal.id],
+      "Database error while loading permissions"
+    )
+    : await query(
+      `SELECT p.permission_key, NULL AS centre_id
+       FROM roles r
+       JOIN role_permissions rp ON rp.role_id = r.role_id
+       JOIN permissions p ON p.permission_id = rp.permission_id
+       WHERE r.role_name IN (?)`,
+      [principal.roles],
+      "Database error while loading permissions"
+    );
+
+  const permissions = new Map();
+
+  for (const { permission_key: key, centre_id: centreId } of rows) {
+    const grant = permissions.get(key) || { global: false, centres: new Set() };
+
+    if (centreId === null) {
+      grant.global = true;
+    } else {
+      grant.centres.add(Number(centreId));
+    }
+
+    permissions.set(key, grant);
+  }
+
+  return permissions;
+};
+
+/**
+ * Check a permission, optionally against the centre(s) a resource belongs to.
+ * A null scope means the resource is not centre-bound.
+ */
+const hasPermission = (permissions, permission, centreScope = null) => {
+  const grant = permissions.get(permission);
+
+  if (!grant) {
+    return false;
+  }
+
+  if (grant.global || centreScope === null) {
+    return true;
+  }
+
+  const centres = Array.isArray(centreScope) ? centreScope : [centreScope];
+  return centres.length > 0 && centres.every((centreId) => grant.centres.has(Number(centreId)));
+};
+
+/**
+ * Serialise a permission map for API responses
+ */
+const toPermissionList = (permissions) =>
+  [...permissions.entries()].map(([permission, grant]) => ({
+    permission,
+    global: grant.global,
+    centres: [...grant.centres],
+  }));
+
+module.exports = {
+  PERMISSIONS,
+  getEffectivePermissions,
+  hasPermission,
+  toPermissionList,
+};
@@ -0,0 +1,64 @@
+/**
+ * SecurityController
+ * ----------------------------------------
+ * CSRF token issuance and CSP violation reporting.
+ *
+ * Features:
+ * - Signed double-submit CSRF token endpoint
+ * - CSP violation report intake (report-uri and Reporting API formats)
+ * - Structured, redacted logging of violations
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { issueCsrfToken } = require("../middlewares/securityMiddleware");
+const { logger } = require("../logger");
+
+const router = express.Router();
+
+const cspReportParser = express.json({
+  type: ["application/csp-report", "application/reports+json", "application/json"],
+  limit: "100kb",
+});
+
+/**
+ * GET /security/csrf-token
+ * Set the CSRF cookie and return the token for the X-CSRF-Token header
+ */
+router.get("/security/csrf-token", describe({ summary: "Issue a CSRF token" }), (req, res) => {
+  const csrfToken = issueCsrfToken(req, res);
+
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(200).json({
+    success: true,
+    csrfToken,
+  });
+});
+
+/**
+ * POST /security/csp-report
+ * Receive browser CSP violation reports
+ */
+router.post(
+  "/security/csp-report",
+  describe({ summary: "Receive CSP violation reports", successStatus: 204 }),
+  cspReportParser,
+  (req, res) => {
+    const reports = Array.isArray(req.body) ? req.body : [req.body?.["csp-report"] || req.body];
+
+    for (const report of reports.slice(0, 20)) {
+      const body = report?.body || report || {};
+
+      logger.warn("CSP violation", {
+        documentUri: body["document-uri"] || body.documentURL,
+        violatedDirective: body["violated-directive"] || body.effectiveDirective,
+        blockedUri: body["blocked-uri"] || body.blockedURL,
+        disposition: body.disposition,
+      });
+    }
+
+    return res.status(204).end();
+  }
+);
+
+module.exports = router;
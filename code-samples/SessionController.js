@@ -0,0 +1,233 @@
+/**
+ * SessionController
+ * ----------------------------------------
+ * Active-session management for staff
+ * accounts.
+ *
+ * Features:
+ * - List own sessions (device, IP, last activity)
+ * - Sign out a single other session or all other sessions
+ * - Expiry status for polling, without counting as activity
+ * - Explicit session extension
+ * - Admin force-logout, scoped to the target user's centre
+ * - Audit entries for every revocation
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { validate } = require("../middlewares/validationMiddleware");
+const { sessionIdParamsSchema, userIdParamsSchema } = require("../validators/validationSchemas");
+const {
+  PENDING_STEPS,
+  isAuthenticated,
+  authorize,
+} = require("../middlewares/authenticationMiddleware");
+const { PERMISSIONS } = require("../services/PermissionService");
+const { getUserCentre } = require("../services/UserService");
+const {
+  getSessionExpiry,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/SessionService");
+const { AUDIT_EVENTS, OUTCOMES, recordAuditEvent } = require("../services/AuditService");
+const {
+  ERROR_CODES,
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../errors");
+
+const router = express.Router();
+
+const ALL_PENDING_STEPS = Object.values(PENDING_STEPS);
+
+const staffOnly = (req, res, next) => {
+  if (req.principal.type !== "staff") {
+    return next(new ForbiddenError("Staff session required"));
+  }
+
+  next();
+};
+
+/**
+ * GET /auth/sessions
+ * List the current user's active sessions
+ */
+router.get(
+  "/auth/sessions",
+  describe({ summary: "List the current user's active sessions" }),
+  isAuthenticated([]),
+  staffOnly,
+  async (req, res, next) => {
+    try {
+      const sessions = await listSessions(req.principal.id, req.sessionID);
+
+      return res.status(200).json({
+        success: true,
+        data: sessions,
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /auth/sessions/:sessionId
+ * Sign out one of the current user's other sessions
+ */
+router.delete(
+  "/auth/sessions/:sessionId",
+  describe({
+    summary: "Sign out one of the user's other sessions",
+    responses: { 404: "Session not found" },
+  }),
+  isAuthenticated([]),
+  staffOnly,
+  validate(sessionIdParamsSchema),
+  async (req, res, next) => {
+    try {
+      const status = await revokeSession(
+        req.sessionStore,
+        req.principal.id,
+        req.params.sessionId,
+        req.sessionID
+      );
+
+      if (status === "NOT_FOUND") {
+        throw new NotFoundError("Session not found", { code: ERROR_CODES.SESSION_NOT_FOUND });
+      }
+
+      if (status === "CURRENT") {
+        throw new ValidationError("Use logout to end the current session", {
+          code: ERROR_CODES.SESSION_CURRENT,
+        });
+      }
+
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.SESSION_REVOKE,
+        outcome: OUTCOMES.SUCCESS,
+        resource: `user:${req.principal.id}`,
+        details: { scope: "SINGLE" },
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Session signed out",
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /auth/sessions/revoke-others
+ * Sign out every session except the current one
+ */
+router.post(
+  "/auth/sessions/revoke-others",
+  describe({ summary: "Sign out every other session" }),
+  isAuthenticated([]),
+  staffOnly,
+  async (req, res, next) => {
+    try {
+      const revoked = await revokeAllSessions(req.sessionStore, req.principal.id, req.sessionID);
+
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.SESSION_REVOKE,
+        outcome: OUTCOMES.SUCCESS,
+        resource: `user:${req.principal.id}`,
+        details: { scope: "OTHERS", revoked },
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Other sessions signed out",
+        data: { revoked },
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * GET /auth/session/status
+ * Idle and absolute expiry of the current session; does not extend it
+ * (listed as a passive path for sessionLifetime in index.js)
+ */
+router.get(
+  "/auth/session/status",
+  describe({ summary: "Session expiry status (does not extend the session)" }),
+  isAuthenticated([], { allowPendingSteps: ALL_PENDING_STEPS }),
+  staffOnly,
+  (req, res) => {
+    const { expired: _expired, ...expiry } = getSessionExpiry(req.session);
+
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({
+      success: true,
+      data: expiry,
+    });
+  }
+);
+
+/**
+ * POST /auth/session/extend
+ * Reset the idle timeout (bounded by the absolute lifetime)
+ */
+router.post(
+  "/auth/session/extend",
+  describe({ summary: "Reset the idle timeout" }),
+  isAuthenticated([], { allowPendingSteps: ALL_PENDING_STEPS }),
+  staffOnly,
+  (req, res) => {
+    // sessionLifetime has already recorded this request as activity
+    const { expired: _expired, ...expiry } = getSessionExpiry(req.session);
+
+    return res.status(200).json({
+      success: true,
+      message: "Session extended",
+      data: expiry,
+    });
+  }
+);
+
+/**
+ * POST /admin/users/:userId/sessions/revoke
+ * Force-logout a user from every device
+ */
+router.post(
+  "/admin/users/:userId/sessions/revoke",
+  describe({ summary: "Force-logout a user from every device", responses: { 404: "User not found" } }),
+  validate(userIdParamsSchema),
+  authorize(PERMISSIONS.USERS_FORCE_LOGOUT, (req) => getUserCentre(req.params.userId)),
+  async (req, res, next) => {
+    try {
+      const revoked = await revokeAllSessions(req.sessionStore, req.params.userId);
+
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.SESSION_REVOKE,
+        outcome: OUTCOMES.SUCCESS,
+        resource: `user:${req.params.userId}`,
+        details: { scope: "ALL", revoked },
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "User signed out of all sessions",
+        data: { revoked },
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,246 @@
+/**
+ * SessionService
+ * ----------------------------------------
+ * Registry and controls for active staff
+ * sessions held in MySQLStore.
+ *
+ * Features:
+ * - Per-user session list (device, IP, last activity)
+ * - Sign-out of a single session or all other sessions
+ * - Admin force-logout of every session of a user
+ * - Per-role concurrent-session cap (oldest sessions are signed out)
+ * - Rolling idle timeout separate from the absolute lifetime
+ *
+ * Sessions are indexed in `user_sessions` (session_id, session_handle,
+ * user_id, user_agent, ip_address, created_at, last_activity_at).
+ * session_handle is a random ID shown to clients instead of the
+ * session ID. roles.max_concurrent_sessions caps how many sessions
+ * a user may hold; NULL falls back to SESSION_MAX_CONCURRENT.
+ */
+
+const crypto = require("crypto");
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { DatabaseError } = require("../errors");
+
+const SESSION_TABLE = config.session.table;
+const DEFAULT_MAX_SESSIONS = config.session.maxConcurrent;
+const EXPIRY_WARNING_SECONDS = config.session.expiryWarningSeconds;
+
+const IDLE_TIMEOUT_MS = config.session.idleTimeoutMinutes * 60 * 1000;
+const ABSOLUTE_TIMEOUT_MS = config.session.absoluteTimeoutHours * 60 * 60 * 1000;
+
+/**
+ * Idle and absolute expiry for a session, from the timestamps
+ * kept in the session itself (createdAt, lastActivityAt)
+ */
+const getSessionExpiry = (session, now = Date.now()) => {
+  const createdAt = session.createdAt || now;
+  const lastActivityAt = session.lastActivityAt || now;
+
+  const idleExpiresAt = lastActivityAt + IDLE_TIMEOUT_MS;
+  const absoluteExpiresAt = createdAt + ABSOLUTE_TIMEOUT_MS;
+  const expiresAt = Math.min(idleExpiresAt, absoluteExpiresAt);
+  const expiresInSeconds = Math.max(Math.floor((expiresAt - now) / 1000), 0);
+
+  return {
+    idleExpiresAt: new Date(idleExpiresAt).toISOString(),
+    absoluteExpiresAt: new Date(absoluteExpiresAt).toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+    expiresInSeconds,
+    expired: expiresInSeconds === 0,
+    warn: expiresInSeconds <= EXPIRY_WARNING_SECONDS,
+    // Activity can only push the idle deadline, never the absolute one
+    canExtend: idleExpiresAt < absoluteExpiresAt,
+  };
+};
+
+const destroyStoredSession = (store, sessionId) => {
+  return new Promise((resolve, reject) => {
+    store.destroy(sessionId, (err) => {
+      if (err) {
+        return reject(new DatabaseError("Failed to end session", { cause: err }));
+      }
+      resolve();
+    });
+  });
+};
+
+/**
+ * Drop registry rows whose MySQLStore session has already expired
+ */
+const pruneSessions = async (userId) => {
+  return query(
+    `DELETE us FROM user_sessions us
+     LEFT JOIN \`${SESSION_TABLE}\` s ON s.session_id = us.session_id
+     WHERE us.user_id = ? AND (s.session_id IS NULL OR s.expires <= UNIX_TIMESTAMP())`,
+    [userId],
+    "Database error while pruning sessions"
+  );
+};
+
+/**
+ * Sign out the given sessions, both in MySQLStore and in the registry
+ */
+const endSessions = async (store, sessionIds) => {
+  for (const sessionId of sessionIds) {
+    await destroyStoredSession(store, sessionId);
+    await removeSession(sessionId);
+  }
+
+  return sessionIds.length;
+};
+
+/**
+ * Register the request's freshly created session and enforce the
+ * user's concurrent-session limit. Resolves with the number of older
+ * sessions that were signed out to make room.
+ */
+const registerSession = async (req, user) => {
+  await query(
+    `INSERT INTO user_sessions
+       (session_id, session_handle, user_id, user_agent, ip_address, created_at, last_activity_at)
+     VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+    [
+      req.sessionID,
+      crypto.randomUUID(),
+      user.user_id,
+      (req.get("user-agent") || "").slice(0, 255),
+      req.ip,
+    ],
+    "Database error while registering session"
+  );
+
+  await pruneSessions(user.user_id);
+
+  const rows = await query(
+    `SELECT session_id FROM user_sessions
+     WHERE user_id = ? AND session_id <> ?
+     ORDER BY last_activity_at DESC`,
+    [user.user_id, req.sessionID],
+    "Database error while loading sessions"
+  );
+
+  const limit = user.sessionLimit || DEFAULT_MAX_SESSIONS;
+  const excess = rows.slice(Math.max(limit - 1, 0)).map((row) => row.session_id);
+
+  return endSessions(req.sessionStore, excess);
+};
+
+/**
+ * Move the registry entry to a regenerated session ID
+ */
+const renameSession = async (oldSessionId, newSessionId) => {
+  return query(
+    "UPDATE user_sessions SET session_id = ? WHERE session_id = ?",
+    [newSessionId, oldSessionId],
+    "Database error while updating session"
+  );
+};
+
+/**
+ * Record activity on a session. Passive checks (expiry polling) only
+ * confirm the entry still exists. Resolves false when the session has
+ * been revoked.
+ */
+const touchSession = async (sessionId, { passive = false } = {}) => {
+  if (passive) {
+    const rows = await query(
+      "SELECT 1 FROM user_sessions WHERE session_id = ? LIMIT 1",
+      [sessionId],
+      "Database error while checking session"
+    );
+    return rows.length > 0;
+  }
+
+  const result = await query(
+    "UPDATE user_sessions SET last_activity_at = NOW() WHERE session_id = ?",
+    [sessionId],
+    "Database error while recording session activity"
+  );
+
+  return result.affectedRows > 0;
+};
+
+const removeSession = async (sessionId) => {
+  return query(
+    "DELETE FROM user_sessions WHERE session_id = ?",
+    [sessionId],
+    "Database error while removing session"
+  );
+};
+
+/**
+ * List a user's active sessions, flagging the current one
+ */
+const listSessions = async (userId, currentSessionId) => {
+  await pruneSessions(userId);
+
+  const rows = await query(
+    `SELECT session_id, session_handle, user_agent, ip_address, created_at, last_activity_at
+     FROM user_sessions WHERE user_id = ?
+     ORDER BY last_activity_at DESC`,
+    [userId],
+    "Database error while loading sessions"
+  );
+
+  return rows.map((row) => ({
+    sessionId: row.session_handle,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastActivityAt: row.last_activity_at,
+    current: row.session_id === currentSessionId,
+  }));
+};
+
+/**
+ * Sign out one session of a user by its public handle.
+ * Resolves with "REVOKED", "NOT_FOUND" or "CURRENT" (the caller's own
+ * session, which is ended through logout instead).
+ */
+const revokeSession = async (store, userId, sessionHandle, currentSessionId) => {
+  const rows = await query(
+    "SELECT session_id FROM user_sessions WHERE user_id = ? AND session_handle = ? LIMIT 1",
+    [userId, sessionHandle],
+    "Database error while loading session"
+  );
+
+  if (rows.length === 0) {
+    return "NOT_FOUND";
+  }
+
+  if (rows[0].session_id === currentSessionId) {
+    return "CURRENT";
+  }
+
+  await endSessions(store, [rows[0].session_id]);
+  return "REVOKED";
+};
+
+/**
+ * Sign out every session of a user, optionally keeping one.
+ * Resolves with the number of sessions ended.
+ */
+const revokeAllSessions = async (store, userId, exceptSessionId = null) => {
+  const rows = await query(
+    "SELECT session_id FROM user_sessions WHERE user_id = ? AND session_id <> ?",
+    [userId, exceptSessionId || ""],
+    "Database error while loading sessions"
+  );
+
+  return endSessions(store, rows.map((row) => row.session_id));
+};
+
+module.exports = {
+  IDLE_TIMEOUT_MS,
+  ABSOLUTE_TIMEOUT_MS,
+  getSessionExpiry,
+  registerSession,
+  renameSession,
+  touchSession,
+  removeSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,272 @@
+/**
+ * TOTPService
+ * ----------------------------------------
+ * RFC 6238 time-based one-time passwords for
+ * staff two-factor authentication.
+ *
+ * Features:
+ * - Secret generation and otpauth:// provisioning URI
+ * - QR code rendering for authenticator apps
+ * - Code verification with ±1 step drift and replay protection
+ * - Hashed single-use recovery codes
+ * - Admin reset
+ *
+ * Tables:
+ * - user_two_factor (user_id, secret_encrypted, confirmed_at, last_used_step)
+ * - user_recovery_codes (code_id, user_id, code_hash, used_at)
+ */
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const { query } = require("../dbUtils");
+const { encryptData, decryptData } = require("../encryptionUtils");
+
+const ISSUER = "ACTS Management System";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value for a counter (RFC 4226 dynamic truncation)
+ */
+const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+/**
+ * Matching time step for a code within the drift window, or null
+ */
+const findMatchingStep = (secret, code, now = Date.now()) => {
+  const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+  const entered = Buffer.from(String(code).padStart(DIGITS, "0"));
+
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const step = currentStep + drift;
+    const expected = Buffer.from(generateCode(secret, step));
+
+    if (expected.length === entered.length && crypto.timingSafeEqual(expected, entered)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/-/g, "").toUpperCase()).digest("hex");
+
+const loadTwoFactor = async (userId) => {
+  const rows = await query(
+    "SELECT secret_encrypted, confirmed_at, last_used_step FROM user_two_factor WHERE user_id = ? LIMIT 1",
+    [userId],
+    "Database error while loading two-factor settings"
+  );
+
+  return rows[0] || null;
+};
+
+/**
+ * Whether the user has a confirmed authenticator
+ */
+const isEnrolled = async (userId) => {
+  const row = await loadTwoFactor(userId);
+  return Boolean(row?.confirmed_at);
+};
+
+/**
+ * Start (or restart) enrolment. Resolves with { uri, qrCode }.
+ */
+const startEnrolment = async (userId, accountName) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await query(
+    `INSERT INTO user_two_factor (user_id, secret_encrypted, confirmed_at, last_used_step)
+     VALUES (?, ?, NULL, 0)
+     ON DUPLICATE KEY UPDATE
+       secret_encrypted = IF(confirmed_at IS NULL, VALUES(secret_encrypted), secret_encrypted)`,
+    [userId, encryptData(secret)],
+    "Database error while starting two-factor enrolment"
+  );
+
+  const row = await loadTwoFactor(userId);
+
+  if (row.confirmed_at) {
+    return null;
+  }
+
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const uri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+  return {
+    uri,
+    qrCode: await QRCode.toDataURL(uri),
+  };
+};
+
+/**
+ * Verify a code and consume its time step so it cannot be replayed
+ */
+const verifyCode = async (userId, code, { requireConfirmed = true } = {}) => {
+  const row = await loadTwoFactor(userId);
+
+  if (!row || (requireConfirmed && !row.confirmed_at)) {
+    return false;
+  }
+
+  const step = findMatchingStep(decryptData(row.secret_encrypted), code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const result = await query(
+    "UPDATE user_two_factor SET last_used_step = ? WHERE user_id = ? AND last_used_step < ?",
+    [step, userId, step],
+    "Database error while recording two-factor use"
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Replace the user's recovery codes; resolves with the plaintext codes (shown once)
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await query(
+    "DELETE FROM user_recovery_codes WHERE user_id = ?",
+    [userId],
+    "Database error while clearing recovery codes"
+  );
+
+  await query(
+    "INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?",
+    [codes.map((code) => [userId, hashRecoveryCode(code)])],
+    "Database error while storing recovery codes"
+  );
+
+  return codes;
+};
+
+/**
+ * Confirm enrolment with a first code; resolves with recovery codes or null
+ */
+const confirmEnrolment = async (userId, code) => {
+  const verified = await verifyCode(userId, code, { requireConfirmed: false });
+
+  if (!verified) {
+    return null;
+  }
+
+  await query(
+    "UPDATE user_two_factor SET confirmed_at = NOW() WHERE user_id = ? AND confirmed_at IS NULL",
+    [userId],
+    "Database error while confirming two-factor enrolment"
+  );
+
+  return regenerateRecoveryCodes(userId);
+};
+
+/**
+ * Consume a single-use recovery code
+ */
+const useRecoveryCode = async (userId, code) => {
+  const result = await query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashRecoveryCode(String(code))],
+    "Database error while using recovery code"
+  );
+
+  return result.affectedRows > 0;
+};
+
+/**
+ * Remove a user's authenticator and recovery codes (admin reset)
+ */
+const resetTwoFactor = async (userId) => {
+  await query(
+    "DELETE FROM user_recovery_codes WHERE user_id = ?",
+    [userId],
+    "Database error while clearing recovery codes"
+  );
+
+  const result = await query(
+    "DELETE FROM user_two_factor WHERE user_id = ?",
+    [userId],
+    "Database error while resetting two-factor authentication"
+  );
+
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  isEnrolled,
+  startEnrolment,
+  confirmEnrolment,
+  verifyCode,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+};
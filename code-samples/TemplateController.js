@@ -0,0 +1,99 @@
+/**
+ * TemplateController
+ * ----------------------------------------
+ * Admin endpoints for inspecting outbound
+ * email templates.
+ *
+ * Features:
+ * - Template listing
+ * - Rendered preview with sample data
+ * - Language and purpose selection
+ * - Guarded by the templates:preview permission
+ * - Typed errors forwarded to the global handler
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { authorize } = require("../middlewares/authenticationMiddleware");
+const { validate } = require("../middlewares/validationMiddleware");
+const { templatePreviewSchema } = require("../validators/validationSchemas");
+const { PERMISSIONS } = require("../services/PermissionService");
+const {
+  SUPPORTED_LANGUAGES,
+  previewTemplate,
+  listTemplates,
+} = require("../services/EmailTemplateService");
+const { ERROR_CODES, NotFoundError, ValidationError } = require("../errors");
+
+const router = express.Router();
+
+/**
+ * GET /templates
+ * List available templates and languages
+ */
+router.get(
+  "/templates",
+  describe({ summary: "List email templates and languages" }),
+  authorize(PERMISSIONS.TEMPLATES_PREVIEW),
+  (req, res) => {
+    return res.status(200).json({
+      success: true,
+      data: {
+        templates: listTemplates(),
+        languages: SUPPORTED_LANGUAGES,
+      },
+    });
+  }
+);
+
+/**
+ * GET /templates/:templateName/preview
+ * Render a template with sample data.
+ * Query: language (en | hi), purpose, format (json | html)
+ */
+router.get(
+  "/templates/:templateName/preview",
+  describe({
+    summary: "Render a template with sample data",
+    responses: { 404: "Template not found" },
+  }),
+  authorize(PERMISSIONS.TEMPLATES_PREVIEW),
+  validate(templatePreviewSchema),
+  (req, res, next) => {
+    try {
+      const { language, purpose, format } = req.query;
+      const overrides = purpose ? { purpose } : {};
+
+      let preview;
+
+      // Rendering fails for option combinations a template does not support
+      try {
+        preview = previewTemplate(req.params.templateName, language, overrides);
+      } catch (error) {
+        throw new ValidationError("Unable to render template with the given options", {
+          code: ERROR_CODES.TEMPLATE_RENDER_FAILED,
+          cause: error,
+        });
+      }
+
+      if (!preview) {
+        throw new NotFoundError("Template not found", { code: ERROR_CODES.TEMPLATE_NOT_FOUND });
+      }
+
+      if (format === "html") {
+        res.setHeader("Content-Type", "text/html; charset=utf-8");
+        return res.status(200).send(preview.html);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: preview,
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
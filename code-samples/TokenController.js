@@ -0,0 +1,126 @@
+/**
+ * TokenController
+ * ----------------------------------------
+ * Refresh, logout and revocation endpoints for
+ * applicant tokens issued by /verify-otp.
+ *
+ * Features:
+ * - Refresh token rotation
+ * - Reuse detection with family revocation
+ * - Logout of the current token family
+ * - Revocation of every session of an applicant
+ * - Typed errors forwarded to the global handler
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { validate } = require("../middlewares/validationMiddleware");
+const { refreshTokenSchema, logoutTokenSchema } = require("../validators/validationSchemas");
+const { APPLICANT_ROLE, isAuthenticated } = require("../middlewares/authenticationMiddleware");
+const {
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForSubject,
+  denyAccessToken,
+} = require("../services/TokenService");
+const { ERROR_CODES, AuthError } = require("../errors");
+
+const router = express.Router();
+
+/**
+ * POST /token/refresh
+ * Exchange a refresh token for a new access/refresh pair
+ */
+router.post(
+  "/token/refresh",
+  describe({
+    summary: "Rotate a refresh token",
+    responses: { 401: "Refresh token invalid or reused" },
+  }),
+  validate(refreshTokenSchema),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      const { status, tokens } = await rotateRefreshToken(refreshToken);
+
+      if (status === "REUSED") {
+        throw new AuthError("Refresh token reuse detected. Please verify again", {
+          code: ERROR_CODES.REFRESH_TOKEN_REUSED,
+        });
+      }
+
+      if (status !== "ROTATED") {
+        throw new AuthError("Invalid or expired refresh token", { code: ERROR_CODES.REFRESH_TOKEN_INVALID });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Token refreshed successfully",
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /token/logout
+ * Revoke the current access token and its refresh token family
+ */
+router.post(
+  "/token/logout",
+  describe({ summary: "Revoke the current access and refresh token" }),
+  isAuthenticated([APPLICANT_ROLE]),
+  validate(logoutTokenSchema),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+
+      await denyAccessToken(req.principal.token.jti, req.principal.token.exp);
+
+      if (refreshToken) {
+        await revokeRefreshToken(refreshToken);
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Logged out successfully",
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /token/revoke-all
+ * Revoke every token family issued for the current applicant
+ */
+router.post(
+  "/token/revoke-all",
+  describe({ summary: "Revoke every token issued to the applicant" }),
+  isAuthenticated([APPLICANT_ROLE]),
+  async (req, res, next) => {
+    try {
+      await denyAccessToken(req.principal.token.jti, req.principal.token.exp);
+      const revokedFamilies = await revokeAllForSubject("ccatFormNo", req.principal.id);
+
+      return res.status(200).json({
+        success: true,
+        message: "All sessions revoked",
+        revokedFamilies,
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,247 @@
+/**
+ * TokenService
+ * ----------------------------------------
+ * Issues and rotates applicant tokens after
+ * OTP verification.
+ *
+ * Features:
+ * - Short-lived access JWTs carrying a jti
+ * - Opaque rotating refresh tokens stored as SHA-256 hashes
+ * - Reuse detection that revokes the whole token family
+ * - jti denylist for revoked access tokens
+ * - Single-use password reset grants (no refresh token)
+ *
+ * Tables:
+ * - refresh_tokens (token_id, family_id, token_hash, claims, access_jti,
+ *   access_expires_at, expires_at, used_at, revoked_at, created_at)
+ * - revoked_access_tokens (jti, expires_at)
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { OTP_PURPOSES } = require("./OTPService");
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const PASSWORD_RESET_GRANT_TTL_SECONDS = 10 * 60;
+const REFRESH_TOKEN_TTL_HOURS = config.jwt.refreshTokenTtlHours;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue an access/refresh pair, optionally continuing an existing family
+ */
+const issueTokenPair = async (claims, familyId = crypto.randomUUID()) => {
+  const jti = crypto.randomUUID();
+  const accessToken = jwt.sign(
+    { ...claims, jti },
+    config.jwt.secret,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+
+  const sql = `
+    INSERT INTO refresh_tokens
+      (family_id, token_hash, claims, access_jti, access_expires_at, expires_at, created_at)
+    VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND), DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())
+  `;
+
+  await query(
+    sql,
+    [
+      familyId,
+      hashToken(refreshToken),
+      JSON.stringify(claims),
+      jti,
+      ACCESS_TOKEN_TTL_SECONDS,
+      REFRESH_TOKEN_TTL_HOURS,
+    ],
+    "Database error while storing refresh token"
+  );
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+};
+
+/**
+ * Revoke every token in a family and denylist its live access tokens
+ */
+const revokeFamily = async (familyId) => {
+  await query(
+    `INSERT IGNORE INTO revoked_access_tokens (jti, expires_at)
+     SELECT access_jti, access_expires_at FROM refresh_tokens
+     WHERE family_id = ? AND access_expires_at > NOW()`,
+    [familyId],
+    "Database error while revoking access tokens"
+  );
+
+  await query(
+    "UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL",
+    [familyId],
+    "Database error while revoking token family"
+  );
+};
+
+/**
+ * Exchange a refresh token for a new pair.
+ * Resolves with { status, tokens } where status is
+ * "ROTATED", "INVALID" or "REUSED".
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const rows = await query(
+    `SELECT token_id, family_id, claims, used_at, revoked_at, expires_at > NOW() AS is_live
+     FROM refresh_tokens WHERE token_hash = ? LIMIT 1`,
+    [hashToken(refreshToken)],
+    "Database error while reading refresh token"
+  );
+
+  const row = rows[0];
+
+  if (!row) {
+    return { status: "INVALID", tokens: null };
+  }
+
+  if (row.used_at || row.revoked_at) {
+    await revokeFamily(row.family_id);
+    return { status: "REUSED", tokens: null };
+  }
+
+  if (!row.is_live) {
+    return { status: "INVALID", tokens: null };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both rotate it
+  const claimResult = await query(
+    "UPDATE refresh_tokens SET used_at = NOW() WHERE token_id = ? AND used_at IS NULL AND revoked_at IS NULL",
+    [row.token_id],
+    "Database error while rotating refresh token"
+  );
+
+  if (claimResult.affectedRows === 0) {
+    await revokeFamily(row.family_id);
+    return { status: "REUSED", tokens: null };
+  }
+
+  const claims = typeof row.claims === "string" ? JSON.parse(row.claims) : row.claims;
+  const tokens = await issueTokenPair(claims, row.family_id);
+
+  return { status: "ROTATED", tokens };
+};
+
+/**
+ * Revoke the family a refresh token belongs to (logout)
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const rows = await query(
+    "SELECT family_id FROM refresh_tokens WHERE token_hash = ? LIMIT 1",
+    [hashToken(refreshToken)],
+    "Database error while reading refresh token"
+  );
+
+  if (rows.length === 0) {
+    return false;
+  }
+
+  await revokeFamily(rows[0].family_id);
+  return true;
+};
+
+/**
+ * Revoke every family issued for a subject, e.g. all devices of one applicant
+ */
+const revokeAllForSubject = async (subjectField, subjectId) => {
+  const families = await query(
+    `SELECT DISTINCT family_id FROM refresh_tokens
+     WHERE JSON_UNQUOTE(JSON_EXTRACT(claims, CONCAT('$.', ?))) = ? AND revoked_at IS NULL`,
+    [subjectField, String(subjectId)],
+    "Database error while reading token families"
+  );
+
+  for (const { family_id: familyId } of families) {
+    await revokeFamily(familyId);
+  }
+
+  return families.length;
+};
+
+/**
+ * Add a single access token to the denylist until it expires
+ */
+const denyAccessToken = async (jti, expiresAtEpochSeconds) => {
+  return query(
+    "INSERT IGNORE INTO revoked_access_tokens (jti, expires_at) VALUES (?, FROM_UNIXTIME(?))",
+    [jti, expiresAtEpochSeconds],
+    "Database error while revoking access token"
+  );
+};
+
+/**
+ * Issue a short-lived grant that can only be spent on POST /password-reset.
+ * It carries no CCAT form number, so it never authenticates a principal.
+ */
+const issuePasswordResetGrant = (username) => {
+  const resetToken = jwt.sign(
+    { username, purpose: OTP_PURPOSES.PASSWORD_RESET, jti: crypto.randomUUID() },
+    config.jwt.secret,
+    { expiresIn: PASSWORD_RESET_GRANT_TTL_SECONDS }
+  );
+
+  return { resetToken, expiresIn: PASSWORD_RESET_GRANT_TTL_SECONDS };
+};
+
+/**
+ * Claims of a valid, unexpired reset grant, or null
+ */
+const verifyPasswordResetGrant = (resetToken) => {
+  let claims;
+
+  try {
+    claims = jwt.verify(resetToken, config.jwt.secret);
+  } catch {
+    return null;
+  }
+
+  if (claims.purpose !== OTP_PURPOSES.PASSWORD_RESET || !claims.username || !claims.jti) {
+    return null;
+  }
+
+  return claims;
+};
+
+/**
+ * Spend a verified reset grant; resolves false when it was already used.
+ * The jti goes on the denylist, so concurrent requests cannot both spend it.
+ */
+const redeemPasswordResetGrant = async (claims) => {
+  const result = await denyAccessToken(claims.jti, claims.exp);
+  return result.affectedRows > 0;
+};
+
+/**
+ * Check the jti denylist
+ */
+const isAccessTokenRevoked = async (jti) => {
+  const rows = await query(
+    "SELECT 1 FROM revoked_access_tokens WHERE jti = ? LIMIT 1",
+    [jti],
+    "Database error while checking token denylist"
+  );
+
+  return rows.length > 0;
+};
+
+module.exports = {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForSubject,
+  denyAccessToken,
+  isAccessTokenRevoked,
+  issuePasswordResetGrant,
+  verifyPasswordResetGrant,
+  redeemPasswordResetGrant,
+};
@@ -0,0 +1,37 @@
+require("./testSetup");
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const config = require("../config/env");
+const { issuePasswordResetGrant, verifyPasswordResetGrant } = require("../services/TokenService");
+
+describe("password reset grants", () => {
+  it("verifies a grant for the username it was issued to", () => {
+    const { resetToken, expiresIn } = issuePasswordResetGrant("jdoe");
+
+    const claims = verifyPasswordResetGrant(resetToken);
+
+    assert.equal(claims.username, "jdoe");
+    assert.equal(claims.purpose, "password-reset");
+    assert.ok(claims.jti);
+    assert.ok(expiresIn <= 10 * 60);
+  });
+
+  it("refuses applicant access tokens, expired grants and foreign signatures", () => {
+    const accessToken = jwt.sign(
+      { ccatFormNo: "240101", purpose: "registration", jti: "a" },
+      config.jwt.secret
+    );
+    const expired = jwt.sign(
+      { username: "jdoe", purpose: "password-reset", jti: "b" },
+      config.jwt.secret,
+      { expiresIn: -1 }
+    );
+    const forged = jwt.sign({ username: "jdoe", purpose: "password-reset", jti: "c" }, "another-secret");
+
+    assert.equal(verifyPasswordResetGrant(accessToken), null);
+    assert.equal(verifyPasswordResetGrant(expired), null);
+    assert.equal(verifyPasswordResetGrant(forged), null);
+  });
+});
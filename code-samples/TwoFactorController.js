@@ -0,0 +1,316 @@
+/**
+ * TwoFactorController
+ * ----------------------------------------
+ * TOTP enrolment, verification and recovery
+ * endpoints for staff accounts.
+ *
+ * Features:
+ * - Authenticator enrolment with QR provisioning URI
+ * - Confirmation step issuing one-time recovery codes
+ * - Login-time verification with TOTP or recovery code
+ * - Lockout shared with password login
+ * - Admin reset, scoped to the target user's centre; signs the user out
+ * - Typed errors forwarded to the global handler
+ */
+
+const express = require("express");
+const { describe } = require("../openApi");
+const { validate } = require("../middlewares/validationMiddleware");
+const {
+  twoFactorCodeSchema,
+  twoFactorVerifySchema,
+  userIdParamsSchema,
+} = require("../validators/validationSchemas");
+const {
+  PENDING_STEPS,
+  isAuthenticated,
+  authorize,
+} = require("../middlewares/authenticationMiddleware");
+const { issueCsrfToken } = require("../middlewares/securityMiddleware");
+const { PERMISSIONS } = require("../services/PermissionService");
+const {
+  startEnrolment,
+  confirmEnrolment,
+  verifyCode,
+  useRecoveryCode,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+} = require("../services/TOTPService");
+const {
+  getUserCentre,
+  getLockoutRemaining,
+  claimLoginAttempt,
+  clearFailedLogins,
+} = require("../services/UserService");
+const { renameSession, revokeAllSessions } = require("../services/SessionService");
+const { AUDIT_EVENTS, OUTCOMES, recordAuditEvent } = require("../services/AuditService");
+const {
+  ERROR_CODES,
+  AppError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+} = require("../errors");
+
+const router = express.Router();
+
+const staffOnly = (req, res, next) => {
+  if (req.principal.type !== "staff") {
+    return next(new ForbiddenError("Staff session required"));
+  }
+
+  next();
+};
+
+const invalidCodeError = () =>
+  new ValidationError("Invalid verification code", { code: ERROR_CODES.TWO_FACTOR_CODE_INVALID });
+
+/**
+ * Mark the staff session two-factor verified under a fresh session ID,
+ * since its privilege level changes (the absolute lifetime still counts
+ * from the password login). Resolves with a CSRF token for the new ID.
+ */
+const promoteVerifiedSession = (req, res, sessionUser) => {
+  const user = { ...req.session.user, ...sessionUser, twoFactorVerified: true };
+  const { createdAt, lastActivityAt } = req.session;
+  const previousSessionId = req.sessionID;
+
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((regenerateErr) => {
+      if (regenerateErr) {
+        return reject(regenerateErr);
+      }
+
+      req.session.createdAt = createdAt;
+      req.session.lastActivityAt = lastActivityAt;
+      req.session.user = user;
+
+      req.session.save(async (saveErr) => {
+        if (saveErr) {
+          return reject(saveErr);
+        }
+
+        try {
+          await renameSession(previousSessionId, req.sessionID);
+        } catch (renameErr) {
+          return reject(renameErr);
+        }
+
+        // Tokens are bound to the session ID, which has just changed
+        resolve(issueCsrfToken(req, res));
+      });
+    });
+  });
+};
+
+/**
+ * POST /auth/2fa/enroll
+ * Start enrolment and return the provisioning URI and QR code
+ */
+router.post(
+  "/auth/2fa/enroll",
+  describe({ summary: "Start authenticator enrolment", responses: { 409: "Already enrolled" } }),
+  isAuthenticated([], { allowPendingSteps: [PENDING_STEPS.TWO_FACTOR_ENROLMENT] }),
+  staffOnly,
+  async (req, res, next) => {
+    try {
+      const enrolment = await startEnrolment(req.principal.id, req.session.user.username);
+
+      if (!enrolment) {
+        throw new AppError("Two-factor authentication is already enabled", {
+          code: ERROR_CODES.TWO_FACTOR_ALREADY_ENROLLED,
+          status: 409,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: enrolment,
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /auth/2fa/confirm
+ * Confirm enrolment with a first code; returns recovery codes once
+ */
+router.post(
+  "/auth/2fa/confirm",
+  describe({ summary: "Confirm enrolment and receive recovery codes" }),
+  isAuthenticated([], { allowPendingSteps: [PENDING_STEPS.TWO_FACTOR_ENROLMENT] }),
+  staffOnly,
+  validate(twoFactorCodeSchema),
+  async (req, res, next) => {
+    try {
+      const { code } = req.body;
+
+      const recoveryCodes = await confirmEnrolment(req.principal.id, code);
+
+      if (!recoveryCodes) {
+        throw invalidCodeError();
+      }
+
+      const csrfToken = await promoteVerifiedSession(req, res, { twoFactorEnrolled: true });
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        csrfToken,
+        data: { recoveryCodes },
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /auth/2fa/verify
+ * Complete login with a TOTP code or a recovery code
+ */
+router.post(
+  "/auth/2fa/verify",
+  describe({
+    summary: "Complete login with a TOTP or recovery code",
+    responses: { 429: "Account temporarily locked" },
+  }),
+  isAuthenticated([], { allowPendingSteps: [PENDING_STEPS.TWO_FACTOR_VERIFICATION] }),
+  staffOnly,
+  validate(twoFactorVerifySchema),
+  async (req, res, next) => {
+    try {
+      const { code, recoveryCode } = req.body;
+      const { username } = req.session.user;
+
+      // Shares the login lockout; claimed before the code is checked
+      if (!(await claimLoginAttempt(username))) {
+        throw new RateLimitError("Too many failed attempts. Please try again later", {
+          code: ERROR_CODES.ACCOUNT_LOCKED,
+          retryAfter: Math.max(await getLockoutRemaining(username), 1),
+        });
+      }
+
+      const verified = code
+        ? await verifyCode(req.principal.id, code)
+        : await useRecoveryCode(req.principal.id, recoveryCode);
+
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.LOGIN,
+        outcome: verified ? OUTCOMES.SUCCESS : OUTCOMES.FAILURE,
+        details: { stage: "TWO_FACTOR", method: code ? "TOTP" : "RECOVERY_CODE" },
+      });
+
+      if (!verified) {
+        throw new AuthError("Invalid verification code", { code: ERROR_CODES.TWO_FACTOR_CODE_INVALID });
+      }
+
+      await clearFailedLogins(username);
+
+      const csrfToken = await promoteVerifiedSession(req, res);
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor verification successful",
+        csrfToken,
+        usedRecoveryCode: !code,
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /auth/2fa/recovery-codes
+ * Issue a fresh set of recovery codes (requires a current TOTP code)
+ */
+router.post(
+  "/auth/2fa/recovery-codes",
+  describe({ summary: "Regenerate recovery codes" }),
+  isAuthenticated([]),
+  staffOnly,
+  validate(twoFactorCodeSchema),
+  async (req, res, next) => {
+    try {
+      const { code } = req.body;
+
+      if (!(await verifyCode(req.principal.id, code))) {
+        throw invalidCodeError();
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(req.principal.id);
+
+      return res.status(200).json({
+        success: true,
+        data: { recoveryCodes },
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+/**
+ * POST /admin/users/:userId/2fa/reset
+ * Remove a user's authenticator so they can enrol again. Their sessions
+ * were verified with the old authenticator, so all of them are signed out.
+ */
+router.post(
+  "/admin/users/:userId/2fa/reset",
+  describe({
+    summary: "Reset a user's two-factor authentication",
+    responses: { 404: "User not found or no authenticator configured" },
+  }),
+  validate(userIdParamsSchema),
+  authorize(PERMISSIONS.USERS_RESET_TWO_FACTOR, (req) => getUserCentre(req.params.userId)),
+  async (req, res, next) => {
+    try {
+      const auditEntry = {
+        event: AUDIT_EVENTS.TWO_FACTOR_RESET,
+        resource: `user:${req.params.userId}`,
+      };
+
+      const wasEnrolled = await resetTwoFactor(req.params.userId);
+
+      if (!wasEnrolled) {
+        await recordAuditEvent(req, {
+          ...auditEntry,
+          outcome: OUTCOMES.FAILURE,
+          details: { reason: ERROR_CODES.TWO_FACTOR_NOT_CONFIGURED },
+        });
+
+        throw new NotFoundError("User has no two-factor authentication configured", {
+          code: ERROR_CODES.TWO_FACTOR_NOT_CONFIGURED,
+        });
+      }
+
+      const revoked = await revokeAllSessions(req.sessionStore, req.params.userId);
+
+      await recordAuditEvent(req, {
+        ...auditEntry,
+        outcome: OUTCOMES.SUCCESS,
+        details: { revokedSessions: revoked },
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication reset",
+        data: { revokedSessions: revoked },
+      });
+
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+module.exports = router;
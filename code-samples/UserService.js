@@ -0,0 +1,261 @@
+/**
+ * UserService
+ * ----------------------------------------
+ * Staff credential verification and password
+ * management.
+ *
+ * Features:
+ * - bcrypt password hashing
+ * - Progressive lockout after repeated failures
+ * - Identical handling of unknown users and wrong passwords
+ * - Forced password change on first login
+ * - Password reset after a verified reset OTP
+ *
+ * Failed attempts are tracked per username in `login_attempts`
+ * (username, failed_count, locked_until, last_failed_at), so
+ * unknown usernames lock out exactly like real ones.
+ */
+
+const bcrypt = require("bcrypt");
+const config = require("../config/env");
+const { query } = require("../dbUtils");
+const { isEnrolled } = require("./TOTPService");
+const { ERROR_CODES, NotFoundError } = require("../errors");
+
+const BCRYPT_ROUNDS = 12;
+const LOCKOUT_THRESHOLD = config.loginLockoutThreshold;
+const LOCKOUT_BASE_SECONDS = 60;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Compared against when the user does not exist, so both paths cost one bcrypt check
+const DUMMY_HASH = bcrypt.hashSync("dummy-password-for-timing", BCRYPT_ROUNDS);
+
+/**
+ * Seconds remaining on a lockout for this username (0 when not locked)
+ */
+const getLockoutRemaining = async (username) => {
+  const rows = await query(
+    `SELECT GREATEST(TIMESTAMPDIFF(SECOND, NOW(), locked_until), 0) AS remaining
+     FROM login_attempts WHERE username = ? LIMIT 1`,
+    [username],
+    "Database error while checking login lockout"
+  );
+
+  return rows.length > 0 ? Number(rows[0].remaining) || 0 : 0;
+};
+
+/**
+ * Claim an attempt before the password or code is checked. It counts as
+ * failed until clearFailedLogins; reaching the threshold locks for
+ * 1, 2, 4 ... minutes (max 60). Resolves false while locked.
+ *
+ * The claim is one conditional UPDATE, so parallel guesses cannot pass the
+ * lockout check together (MySQL assigns left to right: locked_until sees
+ * the incremented failed_count).
+ */
+const claimLoginAttempt = async (username) => {
+  await query(
+    "INSERT IGNORE INTO login_attempts (username, failed_count, last_failed_at) VALUES (?, 0, NOW())",
+    [username],
+    "Database error while recording login attempt"
+  );
+
+  const result = await query(
+    `UPDATE login_attempts
+     SET failed_count = failed_count + 1,
+         last_failed_at = NOW(),
+         locked_until = IF(failed_count >= ?,
+           DATE_ADD(NOW(), INTERVAL LEAST(? * POW(2, failed_count - ?), ?) SECOND),
+           locked_until)
+     WHERE username = ? AND (locked_until IS NULL OR locked_until <= NOW())`,
+    [LOCKOUT_THRESHOLD, LOCKOUT_BASE_SECONDS, LOCKOUT_THRESHOLD, LOCKOUT_MAX_SECONDS, username],
+    "Database error while recording login attempt"
+  );
+
+  return result.affectedRows > 0;
+};
+
+const clearFailedLogins = async (username) => {
+  return query(
+    "DELETE FROM login_attempts WHERE username = ?",
+    [username],
+    "Database error while clearing failed logins"
+  );
+};
+
+/**
+ * Load an active staff user with role names, centre, 2FA status
+ * and concurrent-session limit
+ */
+const findUserByUsername = async (username) => {
+  const rows = await query(
+    `SELECT user_id, username, full_name, email_id, password_hash,
+            centre_id, must_change_password
+     FROM users WHERE username = ? AND is_active = 1 LIMIT 1`,
+    [username],
+    "Database error while loading user"
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const roles = await query(
+    `SELECT DISTINCT r.role_name, r.requires_two_factor, r.max_concurrent_sessions
+     FROM user_role_assignments ura
+     JOIN roles r ON r.role_id = ura.role_id
+     WHERE ura.user_id = ?`,
+    [rows[0].user_id],
+    "Database error while loading user roles"
+  );
+
+  const sessionLimits = roles
+    .map((row) => row.max_concurrent_sessions)
+    .filter((limit) => limit !== null);
+
+  return {
+    ...rows[0],
+    roles: roles.map((row) => row.role_name),
+    twoFactorRequired: roles.some((row) => Boolean(row.requires_two_factor)),
+    twoFactorEnrolled: await isEnrolled(rows[0].user_id),
+    // The most generous role wins; null falls back to the default limit
+    sessionLimit: sessionLimits.length > 0 ? Math.max(...sessionLimits) : null,
+  };
+};
+
+/**
+ * ID of the user with a username, active or not, or null (audit entries)
+ */
+const findUserId = async (username) => {
+  const rows = await query(
+    "SELECT user_id FROM users WHERE username = ? LIMIT 1",
+    [username],
+    "Database error while resolving user"
+  );
+
+  return rows.length > 0 ? rows[0].user_id : null;
+};
+
+/**
+ * Verify credentials. Resolves with the user (without its hash) or null.
+ */
+const verifyCredentials = async (username, password) => {
+  const user = await findUserByUsername(username);
+  const matches = await bcrypt.compare(String(password), user ? user.password_hash : DUMMY_HASH);
+
+  if (!user || !matches) {
+    return null;
+  }
+
+  const { password_hash: _hash, ...safeUser } = user;
+  return safeUser;
+};
+
+/**
+ * Minimum password policy: length, a letter and a digit
+ */
+const validatePasswordPolicy = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return "Password must contain letters and digits";
+  }
+
+  return null;
+};
+
+/**
+ * Change a user's password after checking the current one.
+ * Resolves with { success, message }.
+ */
+const changePassword = async (userId, currentPassword, newPassword) => {
+  const rows = await query(
+    "SELECT password_hash FROM users WHERE user_id = ? LIMIT 1",
+    [userId],
+    "Database error while loading user"
+  );
+
+  if (rows.length === 0 || !(await bcrypt.compare(String(currentPassword), rows[0].password_hash))) {
+    return { success: false, message: "Current password is incorrect" };
+  }
+
+  const policyError = validatePasswordPolicy(newPassword);
+
+  if (policyError) {
+    return { success: false, message: policyError };
+  }
+
+  if (await bcrypt.compare(newPassword, rows[0].password_hash)) {
+    return { success: false, message: "New password must differ from the current password" };
+  }
+
+  const passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+
+  await query(
+    `UPDATE users
+     SET password_hash = ?, must_change_password = 0, password_changed_at = NOW()
+     WHERE user_id = ?`,
+    [passwordHash, userId],
+    "Database error while updating password"
+  );
+
+  return { success: true, message: "Password changed successfully" };
+};
+
+/**
+ * Set a new password for an active user who proved a reset OTP.
+ * The caller checks validatePasswordPolicy first. Resolves with the
+ * user ID, or null when no active user has the username.
+ */
+const resetPassword = async (username, newPassword) => {
+  const passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+
+  const result = await query(
+    `UPDATE users
+     SET password_hash = ?, must_change_password = 0, password_changed_at = NOW()
+     WHERE username = ? AND is_active = 1`,
+    [passwordHash, username],
+    "Database error while resetting password"
+  );
+
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  await clearFailedLogins(username);
+  return findUserId(username);
+};
+
+/**
+ * Centre a staff user belongs to (scope for admin actions on that user).
+ * Users without a centre resolve to [], which only a global grant covers;
+ * unknown users reject with USER_NOT_FOUND.
+ */
+const getUserCentre = async (userId) => {
+  const rows = await query(
+    "SELECT centre_id FROM users WHERE user_id = ? LIMIT 1",
+    [userId],
+    "Database error while loading user centre"
+  );
+
+  if (rows.length === 0) {
+    throw new NotFoundError("User not found", { code: ERROR_CODES.USER_NOT_FOUND });
+  }
+
+  return rows[0].centre_id ?? [];
+};
+
+module.exports = {
+  findUserId,
+  getUserCentre,
+  getLockoutRemaining,
+  claimLoginAttempt,
+  clearFailedLogins,
+  verifyCredentials,
+  validatePasswordPolicy,
+  changePassword,
+  resetPassword,
+};
@@ -1,17 +1,154 @@
-// Portfolio Sample - Role-Based Authentication Middleware
+// Portfolio Sample - Unified Authentication Middleware
+// Staff authenticate with the MySQLStore session, applicants with the
+// Bearer JWT issued by /verify-otp. Both resolve to a normalized req.principal:
+// { id, type: "staff" | "applicant", roles, centre }
 
-const authorize = (allowedRoles = []) => {
-    return (req, res, next) => {
-        const user = req.session?.user;
+const jwt = require("jsonwebtoken");
+const config = require("../config/env");
+const { isAccessTokenRevoked } = require("../services/TokenService");
+const { APPLICANT_PURPOSES } = require("../services/OTPService");
+const { getEffectivePermissions, hasPermission } = require("../services/PermissionService");
+const { AUDIT_EVENTS, OUTCOMES, recordAuditEvent } = require("../services/AuditService");
 
-        if (!user) {
+const APPLICANT_ROLE = "APPLICANT";
+
+// Steps a staff session must complete before reaching protected routes
+const PENDING_STEPS = Object.freeze({
+    TWO_FACTOR_VERIFICATION: "TWO_FACTOR_VERIFICATION",
+    PASSWORD_CHANGE: "PASSWORD_CHANGE",
+    TWO_FACTOR_ENROLMENT: "TWO_FACTOR_ENROLMENT"
+});
+
+const PENDING_STEP_MESSAGES = {
+    [PENDING_STEPS.TWO_FACTOR_VERIFICATION]: "Two-factor verification required",
+    [PENDING_STEPS.PASSWORD_CHANGE]: "Password change required",
+    [PENDING_STEPS.TWO_FACTOR_ENROLMENT]: "Two-factor enrolment required"
+};
+
+// A second factor is proven before anything else, then the forced password
+// change, then enrolment for roles that make 2FA mandatory
+const getPendingStep = (user) => {
+    if (user.twoFactorEnrolled && !user.twoFactorVerified) {
+        return PENDING_STEPS.TWO_FACTOR_VERIFICATION;
+    }
+
+    if (user.mustChangePassword) {
+        return PENDING_STEPS.PASSWORD_CHANGE;
+    }
+
+    if (user.twoFactorRequired && !user.twoFactorEnrolled) {
+        return PENDING_STEPS.TWO_FACTOR_ENROLMENT;
+    }
+
+    return null;
+};
+
+const fromSession = (user) => ({
+    id: user.user_id ?? user.id,
+    type: "staff",
+    roles: Array.isArray(user.roles) ? user.roles : [user.role].filter(Boolean),
+    centre: user.centre_id ?? null,
+    pendingStep: getPendingStep(user)
+});
+
+const fromToken = (claims) => ({
+    id: claims.ccatFormNo,
+    type: "applicant",
+    roles: [APPLICANT_ROLE],
+    centre: null,
+    purpose: claims.purpose,
+    token: { jti: claims.jti, exp: claims.exp }
+});
+
+// Resolves the principal for a request; returns { principal, error }
+const resolvePrincipal = async (req) => {
+    if (req.session?.user) {
+        return { principal: fromSession(req.session.user), error: null };
+    }
+
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+        // sessionLifetime notes why a session cookie no longer authenticates
+        return { principal: null, error: req.sessionEndReason || "Unauthorized access" };
+    }
+
+    let claims;
+
+    try {
+        claims = jwt.verify(token, config.jwt.secret);
+    } catch {
+        return { principal: null, error: "Invalid or expired token" };
+    }
+
+    // Only applicant-flow tokens (bound to a CCAT form number) authenticate a principal;
+    // password reset grants and tokens from before purposes existed do not
+    if (!claims.ccatFormNo || !claims.jti || !APPLICANT_PURPOSES.includes(claims.purpose)) {
+        return { principal: null, error: "Unauthorized access" };
+    }
+
+    if (await isAccessTokenRevoked(claims.jti)) {
+        return { principal: null, error: "Token has been revoked" };
+    }
+
+    return { principal: fromToken(claims), error: null };
+};
+
+// Attaches req.principal when credentials are present; never rejects
+const authenticate = async (req, res, next) => {
+    try {
+        const { principal, error } = await resolvePrincipal(req);
+        req.principal = principal;
+        req.authError = error;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Requires an authenticated principal; an empty roles array means "any principal".
+// Staff sessions with a pending step (2FA, forced password change) are blocked
+// unless the route lists that step in options.allowPendingSteps.
+const isAuthenticated = (allowedRoles = [], options = {}) => {
+    const middleware = async (req, res, next) => {
+        if (req.principal === undefined) {
+            try {
+                const { principal, error } = await resolvePrincipal(req);
+                req.principal = principal;
+                req.authError = error;
+            } catch (err) {
+                return next(err);
+            }
+        }
+
+        if (!req.principal) {
             return res.status(401).json({
                 success: false,
-                message: "Unauthorized access"
+                message: req.authError || "Unauthorized access"
             });
         }
 
-        if (!allowedRoles.includes(user.role)) {
+        const { pendingStep } = req.principal;
+
+        if (pendingStep && !(options.allowPendingSteps || []).includes(pendingStep)) {
+            return res.status(403).json({
+                success: false,
+                message: PENDING_STEP_MESSAGES[pendingStep],
+                pendingStep
+            });
+        }
+
+        if (
+            allowedRoles.length > 0 &&
+            !req.principal.roles.some((role) => allowedRoles.includes(role))
+        ) {
+            await recordAuditEvent(req, {
+                event: AUDIT_EVENTS.AUTHORIZATION_DENIED,
+                outcome: OUTCOMES.DENIED,
+                resource: `${req.method} ${req.originalUrl}`,
+                details: { requiredRoles: allowedRoles }
+            });
+
             return res.status(403).json({
                 success: false,
                 message: "Insufficient permissions"
@@ -20,6 +157,66 @@ const authorize = (allowedRoles = []) => {
 
         next();
     };
+
+    // Read by openApi.js to document the route's security
+    middleware.allowedRoles = allowedRoles;
+    return middleware;
+};
+
+// Loads the principal's effective permissions once per request
+const loadPermissions = async (req) => {
+    if (!req.permissions) {
+        req.permissions = await getEffectivePermissions(req.principal);
+    }
+
+    return req.permissions;
+};
+
+// Requires a permission; resolveScope(req) returns the centre id(s) the
+// requested resource belongs to. Routes on resources that are not
+// centre-bound omit resolveScope; a resolver answering null or undefined
+// (e.g. a user with no centre) is treated as [], which only a global grant covers.
+const authorize = (permission, resolveScope = null) => {
+    const requireAuthentication = isAuthenticated([]);
+
+    const middleware = (req, res, next) => {
+        requireAuthentication(req, res, async (err) => {
+            if (err) {
+                return next(err);
+            }
+
+            try {
+                const permissions = await loadPermissions(req);
+
+                // No grant at all: deny before the scope lookup, so resolvers
+                // (which may answer 404) cannot be used to probe resources
+                const scope = hasPermission(permissions, permission) && resolveScope
+                    ? (await resolveScope(req)) ?? []
+                    : null;
+
+                if (!hasPermission(permissions, permission, scope)) {
+                    await recordAuditEvent(req, {
+                        event: AUDIT_EVENTS.AUTHORIZATION_DENIED,
+                        outcome: OUTCOMES.DENIED,
+                        resource: `${req.method} ${req.originalUrl}`,
+                        details: { permission, scope }
+                    });
+
+                    return res.status(403).json({
+                        success: false,
+                        message: "Insufficient permissions"
+                    });
+                }
+
+                next();
+            } catch (error) {
+                next(error);
+            }
+        });
+    };
+
+    middleware.permission = permission;
+    return middleware;
 };
 
 const sessionChecker = (req, res, next) => {
@@ -33,4 +230,12 @@ const sessionChecker = (req, res, next) => {
     next();
 };
 
-module.exports = { authorize, sessionChecker };
+module.exports = {
+    APPLICANT_ROLE,
+    PENDING_STEPS,
+    authenticate,
+    isAuthenticated,
+    loadPermissions,
+    authorize,
+    sessionChecker
+};
@@ -0,0 +1,28 @@
+/**
+ * dbUtils
+ * ----------------------------------------
+ * Promise helpers around the shared MySQL pool.
+ *
+ * Features:
+ * - Promise-based query execution
+ * - Failures wrapped in DatabaseError with a caller-supplied message
+ */
+
+const pool = require("./config/db");
+const { DatabaseError } = require("./errors");
+
+/**
+ * Run a parameterised query and resolve with its results
+ */
+const query = (sql, params = [], errorMessage = "Database error") => {
+  return new Promise((resolve, reject) => {
+    pool.query(sql, params, (err, results) => {
+      if (err) {
+        return reject(new DatabaseError(errorMessage, { cause: err }));
+      }
+      resolve(results);
+    });
+  });
+};
+
+module.exports = { query };
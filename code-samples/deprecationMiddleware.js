@@ -0,0 +1,45 @@
+// Portfolio Sample - Legacy API Path Deprecation Middleware
+// Unversioned paths (/request-otp, /api/auth/login, ...) keep working but
+// announce their /api/v1 successor:
+// Deprecation: true
+// Link: </api/v1/auth/login>; rel="successor-version"
+// Sunset: <HTTP date> (when a removal date has been set)
+
+const { logger } = require("../logger");
+
+// "/api/auth/login" -> "/api/v1/auth/login", "/request-otp" -> "/api/v1/request-otp"
+const toSuccessorPath = (path, versionPrefix) =>
+    path.startsWith("/api/")
+        ? `${versionPrefix}${path.slice("/api".length)}`
+        : `${versionPrefix}${path}`;
+
+// options: { versionPrefix, sunset (Date) }
+const deprecatedPath = (options) => {
+    const { versionPrefix, sunset } = options;
+
+    return (req, res, next) => {
+        // Full path without the query string, which can carry a file-link token (/fetchFile)
+        const [path] = req.originalUrl.split("?");
+
+        // Versioned requests can fall through to legacy mounts on their way to the 404 handler
+        if (path.startsWith(`${versionPrefix}/`)) {
+            return next();
+        }
+
+        const successor = toSuccessorPath(path, versionPrefix);
+
+        res.setHeader("Deprecation", "true");
+        res.setHeader("Link", `<${successor}>; rel="successor-version"`);
+
+        if (sunset) {
+            res.setHeader("Sunset", sunset.toUTCString());
+        }
+
+        logger.debug("Deprecated API path used", { method: req.method, path, successor });
+        next();
+    };
+};
+
+module.exports = {
+    deprecatedPath
+};
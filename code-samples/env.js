@@ -0,0 +1,407 @@
+/**
+ * env
+ * ----------------------------------------
+ * Typed application configuration, read from
+ * process.env and validated once at boot.
+ *
+ * Features:
+ * - Every variable declared with its type, default and constraints
+ * - Per-environment defaults (development, test, production)
+ * - Comma-separated CORS origin allowlist (CLIENT_URL)
+ * - Secret length, URL format, upload path and SMTP/SMS checks
+ * - Key rings ("id:secret,...") for rotatable signing keys
+ * - Fails fast with one report listing every problem
+ *
+ * index.js loads this module right after dotenv; any other module
+ * can then require it and read already-validated values.
+ * LOG_LEVEL is validated here but read directly by logger.js, which
+ * has to work before configuration is loaded.
+ */
+
+const fs = require("fs");
+const { ConfigurationError } = require("../errors");
+
+const ENVIRONMENTS = ["development", "test", "production"];
+const TRANSPORTS = ["smtp", "sms", "file", "console"];
+const OTP_STORES = ["mysql", "memory"];
+const LOG_LEVELS = ["debug", "info", "warn", "error", "fatal"];
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Typed readers over an env object. Problems are collected in
+ * `errors` instead of thrown, so one boot reports all of them.
+ */
+const createReader = (env, nodeEnv, errors) => {
+  const fail = (variable, message) => {
+    errors.push({ variable, message });
+    return undefined;
+  };
+
+  // Raw value, else the environment-specific default, else the default
+  const raw = (name, options) => {
+    const value = env[name];
+
+    if (value !== undefined && value.trim() !== "") {
+      return value.trim();
+    }
+
+    if (options.defaults && Object.hasOwn(options.defaults, nodeEnv)) {
+      return options.defaults[nodeEnv];
+    }
+
+    return options.default;
+  };
+
+  const missing = (name, options) =>
+    options.required ? fail(name, `${name} is required`) : undefined;
+
+  return {
+    string: (name, options = {}) => {
+      const value = raw(name, options);
+      return value === undefined ? missing(name, options) : String(value);
+    },
+
+    integer: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      const parsed = Number(value);
+
+      if (!Number.isInteger(parsed)) {
+        return fail(name, `${name} must be an integer`);
+      }
+
+      if ((options.min !== undefined && parsed < options.min) || (options.max !== undefined && parsed > options.max)) {
+        return fail(name, `${name} must be between ${options.min ?? "-∞"} and ${options.max ?? "∞"}`);
+      }
+
+      return parsed;
+    },
+
+    boolean: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined || typeof value === "boolean") {
+        return value ?? false;
+      }
+
+      if (!["true", "false"].includes(value)) {
+        return fail(name, `${name} must be "true" or "false"`);
+      }
+
+      return value === "true";
+    },
+
+    oneOf: (name, values, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      return values.includes(value)
+        ? value
+        : fail(name, `${name} must be one of: ${values.join(", ")}`);
+    },
+
+    secret: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      // Never echo the value itself
+      return value.length >= MIN_SECRET_LENGTH
+        ? value
+        : fail(name, `${name} must be at least ${MIN_SECRET_LENGTH} characters`);
+    },
+
+    url: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      try {
+        const url = new URL(value);
+        return ["http:", "https:"].includes(url.protocol)
+          ? value
+          : fail(name, `${name} must be an http(s) URL`);
+      } catch {
+        return fail(name, `${name} must be a valid URL`);
+      }
+    },
+
+    // Comma-separated list of origins (scheme://host[:port], no path)
+    origins: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      const entries = String(value).split(",").map((item) => item.trim()).filter(Boolean);
+      const origins = [];
+
+      if (entries.length === 0) {
+        return fail(name, `${name} must list at least one origin`);
+      }
+
+      for (const entry of entries) {
+        let url;
+
+        try {
+          url = new URL(entry);
+        } catch {
+          fail(name, `${name} contains an invalid URL: ${entry}`);
+          continue;
+        }
+
+        if (url.origin !== entry.replace(/\/$/, "")) {
+          fail(name, `${name} entries must be bare origins without a path: ${entry}`);
+        } else if (options.requireHttps && url.protocol !== "https:") {
+          fail(name, `${name} entries must use https: ${entry}`);
+        } else {
+          origins.push(url.origin);
+        }
+      }
+
+      return origins;
+    },
+
+    // Comma-separated "id:secret" pairs; ids appear in tokens, secrets never do
+    keyring: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      // No prototype, so ids such as "toString" are never mistaken for keys
+      const keys = Object.create(null);
+
+      for (const entry of String(value).split(",").map((item) => item.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(":");
+        const id = entry.slice(0, separator);
+        const secret = entry.slice(separator + 1);
+
+        if (separator < 1 || !/^[A-Za-z0-9_-]{1,32}$/.test(id)) {
+          fail(name, `${name} entries must look like <id>:<secret> with an id of letters, digits, - or _`);
+        } else if (Object.hasOwn(keys, id)) {
+          fail(name, `${name} lists key id ${id} more than once`);
+        } else if (secret.length < MIN_SECRET_LENGTH) {
+          fail(name, `${name} key ${id} must be at least ${MIN_SECRET_LENGTH} characters`);
+        } else {
+          keys[id] = secret;
+        }
+      }
+
+      return Object.keys(keys).length > 0 ? keys : fail(name, `${name} must list at least one key`);
+    },
+
+    date: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      const parsed = new Date(value);
+
+      return Number.isNaN(parsed.getTime())
+        ? fail(name, `${name} must be a valid date (e.g. 2027-03-31)`)
+        : parsed;
+    },
+
+    directory: (name, options = {}) => {
+      const value = raw(name, options);
+
+      if (value === undefined) {
+        return missing(name, options);
+      }
+
+      try {
+        if (!fs.statSync(value).isDirectory()) {
+          return fail(name, `${name} must be a directory: ${value}`);
+        }
+        fs.accessSync(value, fs.constants.R_OK | fs.constants.W_OK);
+      } catch {
+        return fail(name, `${name} must be an existing, writable directory: ${value}`);
+      }
+
+      return value;
+    },
+  };
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === "object") {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+
+  return value;
+};
+
+/**
+ * Build and validate the configuration.
+ * Throws a ConfigurationError whose details list every problem.
+ */
+const loadConfig = (env = process.env) => {
+  const errors = [];
+  const nodeEnv = env.NODE_ENV || "development";
+
+  if (!ENVIRONMENTS.includes(nodeEnv)) {
+    errors.push({ variable: "NODE_ENV", message: `NODE_ENV must be one of: ${ENVIRONMENTS.join(", ")}` });
+  }
+
+  const isProduction = nodeEnv === "production";
+  const read = createReader(env, nodeEnv, errors);
+  const sessionSecret = read.secret("SESSION_SECRET", { required: true });
+
+  const config = {
+    nodeEnv,
+    isProduction,
+    port: read.integer("PORT", { default: 3001, min: 1, max: 65535 }),
+    logLevel: read.oneOf("LOG_LEVEL", LOG_LEVELS, { default: "info" }),
+    shutdownTimeoutMs: read.integer("SHUTDOWN_TIMEOUT_MS", { default: 25000, min: 1000 }),
+
+    corsOrigins: read.origins("CLIENT_URL", {
+      required: true,
+      requireHttps: isProduction,
+      defaults: { development: "http://localhost:3000", test: "http://localhost:3000" },
+    }),
+
+    session: {
+      secret: sessionSecret,
+      table: read.string("SESSION_TABLE", { default: "sessions" }),
+      idleTimeoutMinutes: read.integer("SESSION_IDLE_TIMEOUT_MINUTES", { default: 30, min: 1 }),
+      absoluteTimeoutHours: read.integer("SESSION_ABSOLUTE_TIMEOUT_HOURS", { default: 8, min: 1 }),
+      maxConcurrent: read.integer("SESSION_MAX_CONCURRENT", { default: 3, min: 1 }),
+      expiryWarningSeconds: read.integer("SESSION_EXPIRY_WARNING_SECONDS", { default: 120, min: 0 }),
+    },
+
+    security: {
+      // Falls back to the session secret when not set separately
+      csrfSecret: read.secret("CSRF_SECRET") || sessionSecret,
+      cspReportOnly: read.boolean("CSP_REPORT_ONLY", { defaults: { development: true } }),
+      hsts: isProduction,
+      secureCookies: isProduction,
+    },
+
+    jwt: {
+      secret: read.secret("JWT_SECRET", { required: true }),
+      refreshTokenTtlHours: read.integer("REFRESH_TOKEN_TTL_HOURS", { default: 8, min: 1 }),
+    },
+
+    otp: {
+      store: read.oneOf("OTP_STORE", OTP_STORES, { default: "mysql" }),
+      purgeIntervalMinutes: read.integer("OTP_PURGE_INTERVAL_MINUTES", { default: 15, min: 1 }),
+      hashSecret: read.secret("OTP_HASH_SECRET", { required: true }),
+      expiryMinutes: read.integer("OTP_EXPIRY_MINUTES", { default: 10, min: 1, max: 60 }),
+      maxVerifyAttempts: read.integer("OTP_MAX_VERIFY_ATTEMPTS", { default: 5, min: 1 }),
+      resendCooldownSeconds: read.integer("OTP_RESEND_COOLDOWN_SECONDS", { default: 60, min: 0 }),
+      dailyLimitPerEmail: read.integer("OTP_DAILY_LIMIT_PER_EMAIL", { default: 10, min: 1 }),
+      dailyLimitPerIp: read.integer("OTP_DAILY_LIMIT_PER_IP", { default: 50, min: 1 }),
+    },
+
+    fileLinks: {
+      keys: read.keyring("FILE_LINK_KEYS", { required: true }),
+      activeKeyId: read.string("FILE_LINK_ACTIVE_KEY"),
+      ttlSeconds: read.integer("FILE_LINK_TTL_SECONDS", { default: 300, min: 30, max: 86400 }),
+    },
+
+    loginLockoutThreshold: read.integer("LOGIN_LOCKOUT_THRESHOLD", { default: 5, min: 1 }),
+
+    uploadPath: read.directory("UPLOAD_PATH", { default: "uploads" }),
+
+    notification: {
+      transport: read.oneOf("NOTIFICATION_TRANSPORT", TRANSPORTS, {
+        default: "smtp",
+        defaults: { development: "console", test: "file" },
+      }),
+      maxAttempts: read.integer("NOTIFICATION_MAX_ATTEMPTS", { default: 3, min: 1 }),
+      retryDelayMs: read.integer("NOTIFICATION_RETRY_DELAY_MS", { default: 500, min: 0 }),
+      filePath: read.string("NOTIFICATION_FILE_PATH", { default: "logs/notifications.jsonl" }),
+    },
+
+    api: {
+      docsEnabled: read.boolean("API_DOCS_ENABLED", { defaults: { development: true, test: true } }),
+      // Advertised in the Sunset header of unversioned (legacy) paths
+      legacySunset: read.date("LEGACY_API_SUNSET"),
+    },
+
+    health: {
+      checkSmtp: read.boolean("HEALTH_CHECK_SMTP"),
+      timeoutMs: read.integer("HEALTH_CHECK_TIMEOUT_MS", { default: 2000, min: 100 }),
+      dbLatencyWarnMs: read.integer("HEALTH_DB_LATENCY_WARN_MS", { default: 500, min: 1 }),
+    },
+  };
+
+  const { transport } = config.notification;
+  const smtpNeeded = transport === "smtp" || config.health.checkSmtp;
+
+  config.smtp = {
+    host: read.string("EMAIL_HOST", { required: smtpNeeded }),
+    port: read.integer("EMAIL_PORT", { required: smtpNeeded, min: 1, max: 65535 }),
+    user: read.string("EMAIL_USER", { required: smtpNeeded }),
+    password: read.string("EMAIL_PASSWORD", { required: smtpNeeded }),
+    poolSize: read.integer("EMAIL_POOL_SIZE", { default: 5, min: 1 }),
+  };
+
+  config.sms = {
+    gatewayUrl: read.url("SMS_GATEWAY_URL", { required: transport === "sms" }),
+    apiKey: read.string("SMS_GATEWAY_API_KEY", { required: transport === "sms" }),
+    senderId: read.string("SMS_SENDER_ID"),
+  };
+
+  if (isProduction && (transport === "file" || transport === "console")) {
+    errors.push({
+      variable: "NOTIFICATION_TRANSPORT",
+      message: `The ${transport} transport cannot be used in production`,
+    });
+  }
+
+  // Codes held in one process's memory are lost on restart and not shared between instances
+  if (isProduction && config.otp.store === "memory") {
+    errors.push({
+      variable: "OTP_STORE",
+      message: "The memory OTP store cannot be used in production",
+    });
+  }
+
+  // New links are signed with the active key; every key in the ring still verifies
+  const { fileLinks } = config;
+
+  if (fileLinks.keys) {
+    fileLinks.activeKeyId = fileLinks.activeKeyId || Object.keys(fileLinks.keys)[0];
+
+    if (!Object.hasOwn(fileLinks.keys, fileLinks.activeKeyId)) {
+      errors.push({
+        variable: "FILE_LINK_ACTIVE_KEY",
+        message: `FILE_LINK_ACTIVE_KEY must name a key in FILE_LINK_KEYS: ${fileLinks.activeKeyId}`,
+      });
+    }
+
+    // A leaked session secret must not also forge file links
+    if (Object.values(fileLinks.keys).includes(config.session.secret)) {
+      errors.push({
+        variable: "FILE_LINK_KEYS",
+        message: "FILE_LINK_KEYS must not reuse SESSION_SECRET",
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigurationError("Invalid configuration", { details: errors });
+  }
+
+  return deepFreeze(config);
+};
+
+module.exports = loadConfig();
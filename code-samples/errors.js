@@ -0,0 +1,181 @@
+/**
+ * errors
+ * ----------------------------------------
+ * Typed application errors with stable,
+ * machine-readable codes.
+ *
+ * Features:
+ * - AppError base class carrying code, HTTP status and details
+ * - Subclasses per failure category (validation, auth, not found, ...)
+ * - ERROR_CODES the frontend can key messages on
+ * - Normalisation of unknown and body-parser errors for the global handler
+ */
+
+const ERROR_CODES = Object.freeze({
+  // Generic
+  BAD_REQUEST: "BAD_REQUEST",
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  AUTH_REQUIRED: "AUTH_REQUIRED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  ROUTE_NOT_FOUND: "ROUTE_NOT_FOUND",
+  PAYLOAD_TOO_LARGE: "PAYLOAD_TOO_LARGE",
+  RATE_LIMITED: "RATE_LIMITED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+  DATABASE_ERROR: "DATABASE_ERROR",
+  CONFIGURATION_ERROR: "CONFIGURATION_ERROR",
+  EXTERNAL_SERVICE_ERROR: "EXTERNAL_SERVICE_ERROR",
+
+  // OTP
+  OTP_NOT_FOUND: "OTP_NOT_FOUND",
+  OTP_EXPIRED: "OTP_EXPIRED",
+  OTP_INVALID: "OTP_INVALID",
+  OTP_LOCKED: "OTP_LOCKED",
+  OTP_DELIVERY_FAILED: "OTP_DELIVERY_FAILED",
+
+  // Staff login and accounts
+  INVALID_CREDENTIALS: "INVALID_CREDENTIALS",
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  PASSWORD_CHANGE_REJECTED: "PASSWORD_CHANGE_REJECTED",
+  PASSWORD_RESET_GRANT_INVALID: "PASSWORD_RESET_GRANT_INVALID",
+
+  // Two-factor
+  TWO_FACTOR_ALREADY_ENROLLED: "TWO_FACTOR_ALREADY_ENROLLED",
+  TWO_FACTOR_CODE_INVALID: "TWO_FACTOR_CODE_INVALID",
+  TWO_FACTOR_NOT_CONFIGURED: "TWO_FACTOR_NOT_CONFIGURED",
+
+  // Applicant tokens
+  REFRESH_TOKEN_INVALID: "REFRESH_TOKEN_INVALID",
+  REFRESH_TOKEN_REUSED: "REFRESH_TOKEN_REUSED",
+
+  // Users
+  USER_NOT_FOUND: "USER_NOT_FOUND",
+
+  // Sessions
+  SESSION_NOT_FOUND: "SESSION_NOT_FOUND",
+  SESSION_CURRENT: "SESSION_CURRENT",
+
+  // Files
+  FILE_PATH_INVALID: "FILE_PATH_INVALID",
+  FILE_NOT_FOUND: "FILE_NOT_FOUND",
+  FILE_RANGE_NOT_SATISFIABLE: "FILE_RANGE_NOT_SATISFIABLE",
+  FILE_LINK_INVALID: "FILE_LINK_INVALID",
+  FILE_LINK_FORBIDDEN: "FILE_LINK_FORBIDDEN",
+  FILE_LINK_EXPIRED: "FILE_LINK_EXPIRED",
+  FILE_LINK_USED: "FILE_LINK_USED",
+  FILE_LINK_SINGLE_USE: "FILE_LINK_SINGLE_USE",
+  FILE_ACCESS_DENIED: "FILE_ACCESS_DENIED",
+  FILE_TYPE_NOT_ALLOWED: "FILE_TYPE_NOT_ALLOWED",
+  FILE_CONTENT_MISMATCH: "FILE_CONTENT_MISMATCH",
+  FILE_TOO_LARGE: "FILE_TOO_LARGE",
+  FILE_MISSING: "FILE_MISSING",
+  UPLOAD_INVALID: "UPLOAD_INVALID",
+
+  // Templates
+  TEMPLATE_NOT_FOUND: "TEMPLATE_NOT_FOUND",
+  TEMPLATE_RENDER_FAILED: "TEMPLATE_RENDER_FAILED",
+});
+
+/**
+ * Base class for errors that map to a known HTTP response.
+ * Messages of errors with status < 500 are safe to show to clients.
+ */
+class AppError extends Error {
+  constructor(message, { code = ERROR_CODES.INTERNAL_ERROR, status = 500, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+
+  get expose() {
+    return this.status < 500;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", options = {}) {
+    super(message, { code: ERROR_CODES.VALIDATION_FAILED, ...options, status: 400 });
+  }
+}
+
+class AuthError extends AppError {
+  constructor(message = "Authentication required", options = {}) {
+    super(message, { code: ERROR_CODES.AUTH_REQUIRED, ...options, status: 401 });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Access denied", options = {}) {
+    super(message, { code: ERROR_CODES.FORBIDDEN, ...options, status: 403 });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", options = {}) {
+    super(message, { code: ERROR_CODES.NOT_FOUND, ...options, status: 404 });
+  }
+}
+
+class RateLimitError extends AppError {
+  constructor(message = "Too many requests", { retryAfter, ...options } = {}) {
+    super(message, { code: ERROR_CODES.RATE_LIMITED, ...options, status: 429 });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class DatabaseError extends AppError {
+  constructor(message = "Database error", options = {}) {
+    super(message, { code: ERROR_CODES.DATABASE_ERROR, ...options, status: 500 });
+  }
+}
+
+class ConfigurationError extends AppError {
+  constructor(message = "Server configuration error", options = {}) {
+    super(message, { code: ERROR_CODES.CONFIGURATION_ERROR, ...options, status: 500 });
+  }
+}
+
+class ExternalServiceError extends AppError {
+  constructor(message = "External service unavailable", options = {}) {
+    super(message, { code: ERROR_CODES.EXTERNAL_SERVICE_ERROR, ...options, status: 502 });
+  }
+}
+
+/**
+ * Convert anything thrown into an AppError.
+ * Client errors raised by Express middleware (e.g. malformed JSON,
+ * oversized bodies) keep their status; everything else becomes a 500.
+ */
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const status = Number(error?.status || error?.statusCode);
+
+  if (status >= 400 && status < 500) {
+    return new AppError(error.expose ? error.message : "Bad request", {
+      code: status === 413 ? ERROR_CODES.PAYLOAD_TOO_LARGE : ERROR_CODES.BAD_REQUEST,
+      status,
+      cause: error,
+    });
+  }
+
+  return new AppError("Internal Server Error", { cause: error });
+};
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  RateLimitError,
+  DatabaseError,
+  ConfigurationError,
+  ExternalServiceError,
+  toAppError,
+};
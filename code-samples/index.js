@@ -2,35 +2,92 @@
 // Tech: Node.js + Express + MySQL + Session Management
 
 require("dotenv").config();
+
+const { logger, requestLogger } = require("./logger");
+
+// Validate every setting before anything else reads it; stop with the full report
+let config;
+
+try {
+  config = require("./config/env");
+} catch (error) {
+  logger.fatal("Invalid configuration, refusing to start", { problems: error.details || [error.message] });
+  process.exit(1);
+}
+
 const express = require("express");
 const cors = require("cors");
 const session = require("express-session");
 const MySQLStore = require("express-mysql-session")(session);
 
+const pool = require("./config/db");
+const { ERROR_CODES, NotFoundError, toAppError } = require("./errors");
+const { closeTransport } = require("./services/NotificationTransport");
+const { startExpiredOTPPurge, stopExpiredOTPPurge } = require("./services/OTPRepository");
+const { securityHeaders, csrfProtection } = require("./middlewares/securityMiddleware");
+const { sessionLifetime } = require("./middlewares/sessionMiddleware");
+const { deprecatedPath } = require("./middlewares/deprecationMiddleware");
+const { describe, buildOpenApiDocument } = require("./openApi");
+const { ABSOLUTE_TIMEOUT_MS } = require("./services/SessionService");
+
+const { authenticate, authorize } = require("./middlewares/authenticationMiddleware");
+const { PERMISSIONS } = require("./services/PermissionService");
+const otpRouter = require("./controllers/OTPController");
+const fileRouter = require("./controllers/FileController");
+const tokenRouter = require("./controllers/TokenController");
+const templateRouter = require("./controllers/TemplateController");
+const permissionRouter = require("./controllers/PermissionController");
+const authRouter = require("./controllers/AuthController");
+const twoFactorRouter = require("./controllers/TwoFactorController");
+const auditRouter = require("./controllers/AuditController");
+const healthRouter = require("./controllers/HealthController");
+const securityRouter = require("./controllers/SecurityController");
+const sessionRouter = require("./controllers/SessionController");
+const docsRouter = require("./controllers/DocsController");
+
 const app = express();
-const PORT = process.env.PORT || 3001;
+const PORT = config.port;
+const SHUTDOWN_TIMEOUT_MS = config.shutdownTimeoutMs;
+
+let server = null;
+let isShuttingDown = false;
 
 /* ===============================
    Global Error & Exception Handling
 ================================== */
 
-// Uncaught Exceptions
+// Uncaught Exceptions: state is unknown, so drain and exit
 process.on("uncaughtException", (err) => {
-  console.error("Uncaught Exception:", err.message);
-  process.exit(1);
+  logger.fatal("Uncaught Exception", { error: err });
+  shutdown("uncaughtException", 1);
 });
 
 // Unhandled Promise Rejections
 process.on("unhandledRejection", (reason) => {
-  console.error("Unhandled Rejection:", reason);
+  logger.error("Unhandled Rejection", { error: reason });
 });
 
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 /* ===============================
    Middleware Configuration
 ================================== */
 
+// Request ID + access log; must run first so every log line carries the ID
+app.use(requestLogger);
+
+// Ask clients not to reuse connections while the server drains
+app.use((req, res, next) => {
+  if (isShuttingDown) {
+    res.setHeader("Connection", "close");
+  }
+  next();
+});
+
+// Student and staff portals are served from different hosts (CLIENT_URL is a comma-separated allowlist)
 app.use(cors({
-  origin: process.env.CLIENT_URL,
+  origin: config.corsOrigins,
   credentials: true
 }));
 
@@ -39,98 +96,175 @@ app.use(express.urlencoded({ extended: true }));
 
 app.disable("x-powered-by");
 
+const API_VERSION_PREFIX = "/api/v1";
+const CSP_REPORT_PATH = `${API_VERSION_PREFIX}/security/csp-report`;
+const LEGACY_CSP_REPORT_PATH = "/api/security/csp-report";
+
+// CSP, HSTS, frame-ancestors, Referrer-Policy, Permissions-Policy
+app.use(securityHeaders({
+  cspReportOnly: config.security.cspReportOnly,
+  cspReportUri: CSP_REPORT_PATH,
+  hsts: config.security.hsts
+}));
+
+// Trust the Nginx reverse proxy so req.ip reflects the client address
+app.set("trust proxy", 1);
+
 /* ===============================
    Session Configuration
 ================================== */
 
+// The store and cookie live for the absolute lifetime (default 8 hours);
+// sessionLifetime ends sessions idle for longer than the idle timeout (default 30 minutes)
 const sessionStore = new MySQLStore({
-  expiration: 1000 * 60 * 30, // 30 minutes
+  expiration: ABSOLUTE_TIMEOUT_MS,
   createDatabaseTable: false
 });
 
 app.use(session({
   key: "portfolio_session",
-  secret: process.env.SESSION_SECRET,
+  secret: config.session.secret,
   store: sessionStore,
   resave: false,
   saveUninitialized: false,
   cookie: {
     httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    maxAge: 1000 * 60 * 30
+    secure: config.security.secureCookies,
+    maxAge: ABSOLUTE_TIMEOUT_MS
   }
 }));
 
+const SESSION_STATUS_PATHS = [`${API_VERSION_PREFIX}/auth/session/status`, "/api/auth/session/status"];
+
+// Idle timeout, absolute lifetime and revocation; expiry polling is not activity
+app.use(sessionLifetime({ passivePaths: SESSION_STATUS_PATHS }));
+
 /* ===============================
-   Role-Based Authorization Middleware
+   CSRF Protection
 ================================== */
 
-const authorize = (allowedRoles = []) => {
-  return (req, res, next) => {
-    const userRole = req.session?.role;
+// Double-submit token for cookie-authenticated, state-changing requests
+app.use(csrfProtection({ exemptPaths: [CSP_REPORT_PATH, LEGACY_CSP_REPORT_PATH] }));
 
-    if (!userRole || !allowedRoles.includes(userRole)) {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied"
-      });
-    }
+/* ===============================
+   Authentication
+================================== */
 
-    next();
-  };
-};
+// Resolves req.principal from the session (staff) or Bearer JWT (applicants)
+app.use(authenticate);
 
 /* ===============================
    Sample Routes
 ================================== */
 
-// Authentication route
-app.post("/api/auth/login", (req, res) => {
-  // Sample login logic (sanitized)
-  req.session.role = "ADMIN";
-
-  res.json({
-    success: true,
-    message: "Login successful"
-  });
-});
+const dashboardRouter = express.Router();
 
 // Protected route example
-app.get("/api/admin/dashboard", authorize(["ADMIN"]), (req, res) => {
-  res.json({
-    success: true,
-    message: "Welcome to Admin Dashboard"
-  });
+dashboardRouter.get(
+  "/dashboard",
+  describe({ summary: "Admin dashboard (sample)" }),
+  authorize(PERMISSIONS.DASHBOARD_ADMIN),
+  (req, res) => {
+    res.json({
+      success: true,
+      message: "Welcome to Admin Dashboard"
+    });
+  }
+);
+
+/* ===============================
+   Feature Routers
+================================== */
+
+// path: mount point under /api/v1; legacyPath: the pre-versioning mount point;
+// legacyRoutes: when set, the only paths the legacy mount serves (routes added
+// after versioning are /api/v1 only)
+const API_ROUTES = [
+  { path: "/", legacyPath: "/", router: otpRouter, tag: "OTP" },
+  { path: "/", legacyPath: "/", router: tokenRouter, tag: "Tokens" },
+  { path: "/", legacyPath: "/", legacyRoutes: ["/fetchFile"], router: fileRouter, tag: "Files" },
+  { path: "/auth", legacyPath: "/api/auth", router: authRouter, tag: "Auth" },
+  { path: "/auth", legacyPath: "/api/auth", router: permissionRouter, tag: "Auth" },
+  { path: "/admin", legacyPath: "/api/admin", router: dashboardRouter, tag: "Admin" },
+  { path: "/admin", legacyPath: "/api/admin", router: templateRouter, tag: "Templates" },
+  { path: "/admin", legacyPath: "/api/admin", router: auditRouter, tag: "Audit" },
+  { path: "/", legacyPath: "/api", router: twoFactorRouter, tag: "Two-factor" },
+  { path: "/", legacyPath: "/api", router: healthRouter, tag: "Health" },
+  { path: "/", legacyPath: "/api", router: securityRouter, tag: "Security" },
+  { path: "/", legacyPath: "/api", router: sessionRouter, tag: "Sessions" }
+];
+
+for (const { path, router } of API_ROUTES) {
+  app.use(path === "/" ? API_VERSION_PREFIX : `${API_VERSION_PREFIX}${path}`, router);
+}
+
+// OpenAPI document and docs page (API_DOCS_ENABLED)
+app.use(API_VERSION_PREFIX, docsRouter);
+
+// Unversioned paths keep working, with Deprecation/Link/Sunset headers
+const legacyHeaders = deprecatedPath({
+  versionPrefix: API_VERSION_PREFIX,
+  sunset: config.api.legacySunset
 });
 
-// Public health check route
-app.get("/api/health", (req, res) => {
-  res.json({
-    status: "Server is running"
-  });
+for (const { legacyPath, legacyRoutes, router } of API_ROUTES) {
+  if (!legacyRoutes) {
+    app.use(legacyPath, legacyHeaders, router);
+    continue;
+  }
+
+  // Frozen to the routes that existed before versioning; others fall through to the 404 handler
+  const legacyRouter = express.Router();
+  legacyRouter.all(legacyRoutes, legacyHeaders, router);
+  app.use(legacyPath, legacyRouter);
+}
+
+app.locals.openApiDocument = buildOpenApiDocument(API_ROUTES, {
+  title: "Portfolio API",
+  version: "1.0.0",
+  serverUrl: API_VERSION_PREFIX
 });
 
 /* ===============================
    404 Handler
 ================================== */
 
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: "API endpoint not found"
-  });
+app.use((req, res, next) => {
+  next(new NotFoundError("API endpoint not found", { code: ERROR_CODES.ROUTE_NOT_FOUND }));
 });
 
 /* ===============================
    Global Error Handler
 ================================== */
 
+// Maps typed errors (see errors.js) to their HTTP status and stable code;
+// details of server-side failures are logged but never sent to the client
 app.use((err, req, res, next) => {
-  console.error("Global Error:", err.message);
+  if (res.headersSent) {
+    logger.error("Error after response started", { error: err, method: req.method, path: req.path });
+    return next(err);
+  }
 
-  res.status(500).json({
+  const error = toAppError(err);
+  const logMeta = { error: err, code: error.code, status: error.status, method: req.method, path: req.path };
+
+  if (error.status >= 500) {
+    logger.error("Request failed", logMeta);
+  } else {
+    logger.warn("Request rejected", { ...logMeta, error: { name: err.name, message: err.message } });
+  }
+
+  if (error.retryAfter) {
+    res.setHeader("Retry-After", String(error.retryAfter));
+  }
+
+  res.status(error.status).json({
     success: false,
-    message: "Internal Server Error"
+    message: error.expose ? error.message : "Internal Server Error",
+    code: error.code,
+    requestId: req.id,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+    ...(error.expose && error.details ? { errors: error.details } : {})
   });
 });
 
@@ -138,6 +272,60 @@ app.use((err, req, res, next) => {
    Server Start
 ================================== */
 
-app.listen(PORT, () => {
-  console.log(`Portfolio backend running on port ${PORT}`);
+server = app.listen(PORT, () => {
+  logger.info("Portfolio backend running", { port: PORT });
 });
+
+startExpiredOTPPurge();
+
+/* ===============================
+   Graceful Shutdown
+================================== */
+
+const closeResources = async () => {
+  stopExpiredOTPPurge();
+  closeTransport();
+  await sessionStore.close();
+  await new Promise((resolve, reject) => {
+    pool.end((err) => (err ? reject(err) : resolve()));
+  });
+};
+
+// Stop accepting connections, let in-flight requests finish within
+// SHUTDOWN_TIMEOUT_MS, then close the session store and DB pool
+function shutdown(signal, exitCode = 0) {
+  if (isShuttingDown) {
+    return;
+  }
+
+  isShuttingDown = true;
+  app.locals.isShuttingDown = true;
+  logger.info("Shutdown started", { signal });
+
+  if (!server) {
+    process.exit(exitCode);
+  }
+
+  const forceTimer = setTimeout(() => {
+    logger.warn("Shutdown timeout reached, closing open connections");
+    server.closeAllConnections();
+    setTimeout(() => process.exit(exitCode || 1), 5000).unref();
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceTimer.unref();
+
+  server.close(async () => {
+    clearTimeout(forceTimer);
+
+    try {
+      await closeResources();
+      logger.info("Shutdown complete");
+    } catch (error) {
+      logger.error("Error while closing resources", { error });
+      exitCode = exitCode || 1;
+    }
+
+    process.exit(exitCode);
+  });
+
+  server.closeIdleConnections();
+}
@@ -0,0 +1,260 @@
+/**
+ * openApi
+ * ----------------------------------------
+ * Builds the OpenAPI 3 description of the API
+ * from the mounted routers.
+ *
+ * Features:
+ * - describe() route metadata (summary, description, extra responses)
+ * - Parameters and request bodies derived from validate() schemas
+ * - Security and error responses inferred from route middleware
+ * - Express ":param" paths converted to OpenAPI "{param}"
+ *
+ * Routes are discovered by walking each router's stack. validate(),
+ * isAuthenticated() and authorize() tag the middleware they return
+ * (validationSchema, allowedRoles, permission), so the document
+ * cannot drift from what the routes actually enforce.
+ */
+
+const { APPLICANT_ROLE } = require("./middlewares/authenticationMiddleware");
+
+const SESSION_SECURITY = { sessionCookie: [] };
+const BEARER_SECURITY = { bearerAuth: [] };
+
+/**
+ * Route metadata; a no-op middleware carrying documentation.
+ * meta: { summary, description, responses: { status: description },
+ *         successStatus, produces: [mime types], deprecated,
+ *         requestBody (for bodies validate() does not cover, e.g. multipart) }
+ */
+const describe = (meta) => {
+  const middleware = (req, res, next) => next();
+  middleware.routeMetadata = meta;
+  return middleware;
+};
+
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+
+const toOperationId = (method, path) =>
+  method + path
+    .replace(/[{}]/g, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+
+/**
+ * Convert one validation rule into a JSON schema
+ */
+const ruleToSchema = (rule) => {
+  const schema = { type: rule.type };
+
+  if (rule.format) schema.format = rule.format;
+  if (rule.pattern) schema.pattern = rule.pattern.source;
+  if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+  if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  if (rule.minimum !== undefined) schema.minimum = rule.minimum;
+  if (rule.maximum !== undefined) schema.maximum = rule.maximum;
+  if (rule.enum) schema.enum = rule.enum;
+  if (rule.default !== undefined) schema.default = rule.default;
+
+  const notes = [rule.label, rule.requiredWhen ? "Required depending on other fields" : null];
+  const description = notes.filter(Boolean).join(". ");
+
+  if (description) schema.description = description;
+
+  return schema;
+};
+
+const toParameters = (fields = {}, location) =>
+  Object.entries(fields).map(([name, rule]) => ({
+    name,
+    in: location,
+    required: location === "path" || Boolean(rule.required),
+    schema: ruleToSchema(rule),
+  }));
+
+const toRequestBody = (fields) => {
+  const properties = {};
+  const required = [];
+
+  for (const [name, rule] of Object.entries(fields)) {
+    properties[name] = ruleToSchema(rule);
+
+    if (rule.required) {
+      required.push(name);
+    }
+  }
+
+  return {
+    required: true,
+    content: {
+      "application/json": {
+        schema: {
+          type: "object",
+          properties,
+          ...(required.length > 0 ? { required } : {}),
+          additionalProperties: false,
+        },
+      },
+    },
+  };
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+const successResponse = (meta) => {
+  if (meta.successStatus === 204) {
+    return { description: "No content" };
+  }
+
+  const content = meta.produces
+    ? Object.fromEntries(meta.produces.map((type) => [type, { schema: { type: "string", format: "binary" } }]))
+    : { "application/json": { schema: { $ref: "#/components/schemas/Success" } } };
+
+  return { description: meta.responseDescription || "Success", content };
+};
+
+/**
+ * Describe one route from its middleware chain
+ */
+const describeOperation = (handlers, method, path, tag) => {
+  const meta = Object.assign({}, ...handlers.map((handler) => handler.routeMetadata || {}));
+  const schema = handlers.find((handler) => handler.validationSchema)?.validationSchema || {};
+  const authHandler = handlers.find((handler) => handler.allowedRoles || handler.permission);
+
+  const operation = {
+    tags: [tag],
+    operationId: toOperationId(method, path),
+    summary: meta.summary,
+    ...(meta.description ? { description: meta.description } : {}),
+    ...(meta.deprecated ? { deprecated: true } : {}),
+  };
+
+  // Every path placeholder must be declared, even when no schema covers it
+  const pathNames = [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+  const pathFields = Object.fromEntries(
+    pathNames.map((name) => [name, schema.params?.[name] || { type: "string", required: true }])
+  );
+  const parameters = [...toParameters(pathFields, "path"), ...toParameters(schema.query, "query")];
+
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (schema.body) operation.requestBody = toRequestBody(schema.body);
+  if (meta.requestBody) operation.requestBody = meta.requestBody;
+
+  const responses = { [meta.successStatus || 200]: successResponse(meta) };
+
+  if (schema.params || schema.query || schema.body) {
+    responses[400] = { $ref: "#/components/responses/ValidationFailed" };
+  }
+
+  if (authHandler) {
+    const roles = authHandler.allowedRoles || [];
+    const applicantOnly = roles.length > 0 && roles.every((role) => role === APPLICANT_ROLE);
+
+    operation.security = applicantOnly ? [BEARER_SECURITY] : [SESSION_SECURITY, BEARER_SECURITY];
+    responses[401] = { $ref: "#/components/responses/Unauthorized" };
+    responses[403] = { $ref: "#/components/responses/Forbidden" };
+
+    if (authHandler.permission) {
+      operation.description = [operation.description, `Requires the \`${authHandler.permission}\` permission.`]
+        .filter(Boolean)
+        .join("\n\n");
+    }
+  } else {
+    operation.security = [];
+  }
+
+  for (const [status, description] of Object.entries(meta.responses || {})) {
+    responses[status] = errorResponse(description);
+  }
+
+  responses[500] = { $ref: "#/components/responses/ServerError" };
+  operation.responses = responses;
+
+  return operation;
+};
+
+const COMPONENTS = {
+  securitySchemes: {
+    sessionCookie: { type: "apiKey", in: "cookie", name: "portfolio_session" },
+    bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+  },
+  schemas: {
+    Success: {
+      type: "object",
+      properties: {
+        success: { type: "boolean", enum: [true] },
+        message: { type: "string" },
+        data: {},
+      },
+      required: ["success"],
+    },
+    Error: {
+      type: "object",
+      properties: {
+        success: { type: "boolean", enum: [false] },
+        message: { type: "string" },
+        code: { type: "string", example: "OTP_EXPIRED" },
+        requestId: { type: "string" },
+        retryAfter: { type: "integer" },
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string" },
+              code: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+      required: ["success", "message", "code"],
+    },
+  },
+  responses: {
+    ValidationFailed: errorResponse("Validation failed"),
+    Unauthorized: errorResponse("Not authenticated"),
+    Forbidden: errorResponse("Authenticated but not allowed"),
+    ServerError: errorResponse("Unexpected server error"),
+  },
+};
+
+/**
+ * Build the document. mounts: [{ path, router, tag }] relative to serverUrl.
+ */
+const buildOpenApiDocument = (mounts, { title, version, serverUrl }) => {
+  const paths = {};
+
+  for (const { path: mountPath, router, tag } of mounts) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+
+      const path = toOpenApiPath(`${mountPath === "/" ? "" : mountPath}${layer.route.path}`);
+
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = describeOperation(handlers, method, path, tag);
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title, version },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: COMPONENTS,
+  };
+};
+
+module.exports = {
+  describe,
+  buildOpenApiDocument,
+};
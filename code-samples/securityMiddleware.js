@@ -0,0 +1,171 @@
+// Portfolio Sample - Security Headers & CSRF Middleware
+// Headers: CSP (enforced or report-only), HSTS, frame-ancestors, Referrer-Policy,
+// Permissions-Policy. CSRF: signed double-submit cookie checked against the
+// X-CSRF-Token header on every state-changing, cookie-authenticated request.
+// Tokens are bound to the signed-in session ID, so a token planted or read
+// before login (or in another session) is refused; login issues a new one.
+
+const crypto = require("crypto");
+const config = require("../config/env");
+
+const CSRF_COOKIE = "csrf_token";
+const CSRF_HEADER = "x-csrf-token";
+const SESSION_COOKIE = "portfolio_session";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const DEFAULT_CSP_DIRECTIVES = {
+    "default-src": ["'self'"],
+    "script-src": ["'self'"],
+    "style-src": ["'self'", "'unsafe-inline'"],
+    "img-src": ["'self'", "data:", "blob:"],
+    "font-src": ["'self'"],
+    "connect-src": ["'self'"],
+    "object-src": ["'none'"],
+    "base-uri": ["'self'"],
+    "form-action": ["'self'"],
+    "frame-ancestors": ["'none'"]
+};
+
+const DEFAULT_PERMISSIONS_POLICY = "camera=(), microphone=(), geolocation=(), payment=(), usb=()";
+
+const buildCsp = (directives, reportUri) => {
+    const entries = Object.entries(directives).map(([name, values]) => `${name} ${values.join(" ")}`);
+
+    if (reportUri) {
+        entries.push(`report-uri ${reportUri}`);
+    }
+
+    return entries.join("; ");
+};
+
+// options: { cspDirectives, cspReportOnly, cspReportUri, hsts, hstsMaxAge,
+//            referrerPolicy, permissionsPolicy }
+const securityHeaders = (options = {}) => {
+    const csp = buildCsp(
+        { ...DEFAULT_CSP_DIRECTIVES, ...(options.cspDirectives || {}) },
+        options.cspReportUri
+    );
+    const cspHeader = options.cspReportOnly
+        ? "Content-Security-Policy-Report-Only"
+        : "Content-Security-Policy";
+    const hstsValue = `max-age=${options.hstsMaxAge || 31536000}; includeSubDomains`;
+
+    return (req, res, next) => {
+        res.setHeader(cspHeader, csp);
+        res.setHeader("X-Frame-Options", "DENY");
+        res.setHeader("X-Content-Type-Options", "nosniff");
+        res.setHeader("Referrer-Policy", options.referrerPolicy || "strict-origin-when-cross-origin");
+        res.setHeader("Permissions-Policy", options.permissionsPolicy || DEFAULT_PERMISSIONS_POLICY);
+        res.setHeader("Cross-Origin-Opener-Policy", "same-origin");
+
+        if (options.hsts) {
+            res.setHeader("Strict-Transport-Security", hstsValue);
+        }
+
+        next();
+    };
+};
+
+// The signed-in session the token belongs to; empty before login, when
+// express-session hands out a new, unsaved session ID on every request
+const csrfBinding = (req) => (req.session && req.session.user ? req.sessionID : "");
+
+const signCsrfValue = (value, binding) =>
+    crypto.createHmac("sha256", config.security.csrfSecret)
+        .update(`${binding}:${value}`)
+        .digest("base64url");
+
+const isValidCsrfToken = (token, binding) => {
+    if (typeof token !== "string") {
+        return false;
+    }
+
+    const [value, signature] = token.split(".");
+
+    if (!value || !signature) {
+        return false;
+    }
+
+    const expected = Buffer.from(signCsrfValue(value, binding));
+    const actual = Buffer.from(signature);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const readCookie = (req, name) => {
+    const match = (req.headers.cookie || "")
+        .split(";")
+        .map((part) => part.trim())
+        .find((part) => part.startsWith(`${name}=`));
+
+    if (!match) {
+        return null;
+    }
+
+    try {
+        return decodeURIComponent(match.slice(name.length + 1));
+    } catch {
+        return null;
+    }
+};
+
+// Issues a fresh signed token in a readable cookie and returns it in the body;
+// call again whenever the session ID changes (login, 2FA step-up)
+const issueCsrfToken = (req, res) => {
+    const value = crypto.randomBytes(32).toString("base64url");
+    const token = `${value}.${signCsrfValue(value, csrfBinding(req))}`;
+
+    res.cookie(CSRF_COOKIE, token, {
+        httpOnly: false,
+        sameSite: "strict",
+        secure: config.security.secureCookies,
+        path: "/"
+    });
+
+    return token;
+};
+
+// Requests authenticated only by a Bearer header carry no ambient credentials,
+// so they are exempt; everything riding on the session cookie is checked
+const csrfProtection = (options = {}) => {
+    const exemptPaths = options.exemptPaths || [];
+
+    return (req, res, next) => {
+        if (SAFE_METHODS.includes(req.method) || exemptPaths.includes(req.path)) {
+            return next();
+        }
+
+        const hasSessionCookie = Boolean(readCookie(req, SESSION_COOKIE));
+        const hasBearer = (req.headers.authorization || "").startsWith("Bearer ");
+
+        if (hasBearer && !hasSessionCookie) {
+            return next();
+        }
+
+        const cookieToken = Buffer.from(readCookie(req, CSRF_COOKIE) || "");
+        const headerToken = Buffer.from(req.get(CSRF_HEADER) || "");
+
+        const valid =
+            cookieToken.length > 0 &&
+            cookieToken.length === headerToken.length &&
+            crypto.timingSafeEqual(cookieToken, headerToken) &&
+            isValidCsrfToken(cookieToken.toString(), csrfBinding(req));
+
+        if (!valid) {
+            return res.status(403).json({
+                success: false,
+                message: "Invalid or missing CSRF token",
+                code: "CSRF_INVALID"
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    CSRF_COOKIE,
+    securityHeaders,
+    csrfProtection,
+    issueCsrfToken
+};
@@ -0,0 +1,73 @@
+// Portfolio Sample - Session Lifetime Middleware
+// Enforces the idle timeout and absolute lifetime of staff sessions and ends
+// sessions revoked from another device or by an admin. Requests on passive
+// paths (expiry polling) are checked but do not count as activity.
+
+const { getSessionExpiry, touchSession, removeSession } = require("../services/SessionService");
+
+const SESSION_COOKIE = "portfolio_session";
+
+const endSession = (req, res) => {
+    return new Promise((resolve, reject) => {
+        const sessionId = req.sessionID;
+
+        req.session.destroy(async (err) => {
+            if (err) {
+                return reject(err);
+            }
+
+            res.clearCookie(SESSION_COOKIE);
+
+            try {
+                await removeSession(sessionId);
+                resolve();
+            } catch (removeErr) {
+                reject(removeErr);
+            }
+        });
+    });
+};
+
+// options: { passivePaths }
+const sessionLifetime = (options = {}) => {
+    const passivePaths = options.passivePaths || [];
+
+    return async (req, res, next) => {
+        if (!req.session?.user) {
+            return next();
+        }
+
+        try {
+            const now = Date.now();
+            const passive = passivePaths.includes(req.path);
+
+            // Sessions created before lifetime tracking start their clocks now
+            req.session.createdAt = req.session.createdAt || now;
+            req.session.lastActivityAt = req.session.lastActivityAt || now;
+
+            if (getSessionExpiry(req.session, now).expired) {
+                await endSession(req, res);
+                req.sessionEndReason = "Session expired";
+                return next();
+            }
+
+            if (!(await touchSession(req.sessionID, { passive }))) {
+                await endSession(req, res);
+                req.sessionEndReason = "Session has been signed out";
+                return next();
+            }
+
+            if (!passive) {
+                req.session.lastActivityAt = now;
+            }
+
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+};
+
+module.exports = {
+    sessionLifetime
+};
@@ -0,0 +1,27 @@
+/**
+ * testSetup
+ * ----------------------------------------
+ * Environment for unit tests. Require it before any
+ * module that reads configuration.
+ *
+ * Features:
+ * - Valid secrets and key ring for config/env
+ * - In-memory OTP store (no database needed)
+ * - File notification transport under the OS temp directory
+ * - Logging limited to fatal entries
+ */
+
+const os = require("os");
+const path = require("path");
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  LOG_LEVEL: "fatal",
+  SESSION_SECRET: "test-session-secret-0123456789abcdef",
+  JWT_SECRET: "test-jwt-secret-0123456789abcdef0123",
+  OTP_HASH_SECRET: "test-otp-hash-secret-0123456789abcdef",
+  FILE_LINK_KEYS: "k1:test-file-link-key-0123456789abcdef",
+  OTP_STORE: "memory",
+  UPLOAD_PATH: os.tmpdir(),
+  NOTIFICATION_FILE_PATH: path.join(os.tmpdir(), "portfolio-test-notifications.jsonl"),
+});
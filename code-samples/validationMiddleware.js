@@ -0,0 +1,201 @@
+// Portfolio Sample - Declarative Request Validation Middleware
+// Routes attach validate({ body, query, params }) where each part maps field
+// names to rules. Values are coerced and sanitized in place, unknown fields are
+// rejected, and failures are passed on as a ValidationError whose details the
+// global handler returns as errors: [{ field, code, message }]
+
+const { ValidationError } = require("../errors");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+const ERROR_CODES = Object.freeze({
+    REQUIRED: "REQUIRED",
+    INVALID_TYPE: "INVALID_TYPE",
+    INVALID_FORMAT: "INVALID_FORMAT",
+    INVALID_VALUE: "INVALID_VALUE",
+    TOO_SHORT: "TOO_SHORT",
+    TOO_LONG: "TOO_LONG",
+    OUT_OF_RANGE: "OUT_OF_RANGE",
+    UNKNOWN_FIELD: "UNKNOWN_FIELD"
+});
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+// Query strings and form bodies arrive as strings; convert them to the declared type
+const coerce = (value, rule) => {
+    if (rule.type === "integer" || rule.type === "number") {
+        if (typeof value === "string" && value.trim() !== "") {
+            const parsed = Number(value);
+            return Number.isNaN(parsed) ? value : parsed;
+        }
+        return value;
+    }
+
+    if (rule.type === "boolean" && typeof value === "string") {
+        if (value === "true" || value === "1") return true;
+        if (value === "false" || value === "0") return false;
+    }
+
+    return value;
+};
+
+const sanitizeString = (value, rule) => {
+    let result = value.replace(CONTROL_CHARS, "");
+
+    if (rule.trim !== false) result = result.trim();
+    if (rule.lowercase) result = result.toLowerCase();
+    if (rule.uppercase) result = result.toUpperCase();
+
+    return result;
+};
+
+// Validates one value; returns { value, error } where error is { code, message } or null
+const checkValue = (rawValue, rule, label) => {
+    let value = coerce(rawValue, rule);
+
+    switch (rule.type) {
+        case "string":
+            if (typeof value !== "string") {
+                return { value, error: { code: ERROR_CODES.INVALID_TYPE, message: `${label} must be text` } };
+            }
+
+            value = sanitizeString(value, rule);
+
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { value, error: { code: ERROR_CODES.TOO_SHORT, message: `${label} must be at least ${rule.minLength} characters` } };
+            }
+
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { value, error: { code: ERROR_CODES.TOO_LONG, message: `${label} must be at most ${rule.maxLength} characters` } };
+            }
+
+            if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+                return { value, error: { code: ERROR_CODES.INVALID_FORMAT, message: `${label} must be a valid email address` } };
+            }
+
+            if (rule.format === "date-time" && Number.isNaN(Date.parse(value))) {
+                return { value, error: { code: ERROR_CODES.INVALID_FORMAT, message: `${label} must be a valid date` } };
+            }
+
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return { value, error: { code: ERROR_CODES.INVALID_FORMAT, message: rule.patternMessage || `${label} has an invalid format` } };
+            }
+            break;
+
+        case "integer":
+        case "number":
+            if (typeof value !== "number" || Number.isNaN(value) || (rule.type === "integer" && !Number.isInteger(value))) {
+                return { value, error: { code: ERROR_CODES.INVALID_TYPE, message: `${label} must be a${rule.type === "integer" ? "n integer" : " number"}` } };
+            }
+
+            if ((rule.minimum !== undefined && value < rule.minimum) || (rule.maximum !== undefined && value > rule.maximum)) {
+                return { value, error: { code: ERROR_CODES.OUT_OF_RANGE, message: `${label} is out of range` } };
+            }
+            break;
+
+        case "boolean":
+            if (typeof value !== "boolean") {
+                return { value, error: { code: ERROR_CODES.INVALID_TYPE, message: `${label} must be true or false` } };
+            }
+            break;
+
+        default:
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { value, error: { code: ERROR_CODES.INVALID_VALUE, message: `${label} must be one of: ${rule.enum.join(", ")}` } };
+    }
+
+    return { value, error: null };
+};
+
+// Validates one request part against its field rules
+const validatePart = (input, fields, location) => {
+    const source = input && typeof input === "object" ? input : {};
+    const values = {};
+    const errors = [];
+
+    for (const key of Object.keys(source)) {
+        if (!Object.prototype.hasOwnProperty.call(fields, key)) {
+            errors.push({ field: key, location, code: ERROR_CODES.UNKNOWN_FIELD, message: `${key} is not allowed` });
+        }
+    }
+
+    for (const [field, rule] of Object.entries(fields)) {
+        const label = rule.label || field;
+        const required = typeof rule.requiredWhen === "function"
+            ? rule.requiredWhen(source)
+            : Boolean(rule.required);
+
+        let rawValue = source[field];
+
+        if (typeof rawValue === "string" && rule.type === "string") {
+            rawValue = sanitizeString(rawValue, rule);
+        }
+
+        if (isEmpty(rawValue)) {
+            if (required) {
+                errors.push({ field, location, code: ERROR_CODES.REQUIRED, message: `${label} is required` });
+            } else if (rule.default !== undefined) {
+                values[field] = rule.default;
+            }
+            continue;
+        }
+
+        const { value, error } = checkValue(rawValue, rule, label);
+
+        if (error) {
+            errors.push({ field, location, ...error });
+        } else {
+            values[field] = value;
+        }
+    }
+
+    return { values, errors };
+};
+
+// schema: { body?, query?, params? } -> field rules
+const validate = (schema) => {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        const validated = {};
+
+        for (const location of ["params", "query", "body"]) {
+            if (!schema[location]) continue;
+
+            const result = validatePart(req[location], schema[location], location);
+            validated[location] = result.values;
+            errors.push(...result.errors);
+        }
+
+        if (errors.length > 0) {
+            return next(new ValidationError("Validation failed", {
+                details: errors.map(({ field, code, message }) => ({ field, code, message }))
+            }));
+        }
+
+        for (const [location, values] of Object.entries(validated)) {
+            if (location === "query") {
+                // req.query is a getter in newer Express versions; replace its contents instead
+                Object.keys(req.query).forEach((key) => delete req.query[key]);
+                Object.assign(req.query, values);
+            } else {
+                req[location] = values;
+            }
+        }
+
+        req.validated = validated;
+        next();
+    };
+
+    // Read by openApi.js to document parameters and request bodies
+    middleware.validationSchema = schema;
+    return middleware;
+};
+
+module.exports = {
+    ERROR_CODES,
+    validate
+};
@@ -0,0 +1,258 @@
+/**
+ * validationSchemas
+ * ----------------------------------------
+ * Request schemas attached to routes through
+ * validate() in validationMiddleware.
+ *
+ * Features:
+ * - One schema per route (body, query, params)
+ * - Shared field rules for emails, OTPs and identifiers
+ */
+
+const { OTP_PURPOSES } = require("../services/OTPService");
+const { AUDIT_EVENTS, OUTCOMES } = require("../services/AuditService");
+
+/* ---------------- Shared field rules ---------------- */
+
+const email = {
+  type: "string",
+  format: "email",
+  maxLength: 254,
+  lowercase: true,
+  required: true,
+  label: "Email",
+};
+
+const purpose = {
+  type: "string",
+  enum: Object.values(OTP_PURPOSES),
+  required: true,
+  label: "Purpose",
+};
+
+const ccatFormNo = {
+  type: "string",
+  pattern: /^[A-Z0-9]{6,20}$/,
+  patternMessage: "CCAT form number must be 6-20 letters or digits",
+  uppercase: true,
+  requiredWhen: (body) => body.purpose !== OTP_PURPOSES.PASSWORD_RESET,
+  label: "CCAT form number",
+};
+
+const username = {
+  type: "string",
+  pattern: /^[A-Za-z0-9._-]{3,50}$/,
+  patternMessage: "Username must be 3-50 letters, digits, dots, dashes or underscores",
+  label: "Username",
+};
+
+const sixDigitCode = (label) => ({
+  type: "string",
+  pattern: /^\d{6}$/,
+  patternMessage: `${label} must be 6 digits`,
+  label,
+});
+
+const refreshToken = {
+  type: "string",
+  pattern: /^[A-Za-z0-9_-]{20,128}$/,
+  patternMessage: "Refresh token is malformed",
+  label: "Refresh token",
+};
+
+const password = (label) => ({
+  type: "string",
+  trim: false,
+  minLength: 1,
+  maxLength: 128,
+  required: true,
+  label,
+});
+
+/* ---------------- OTP ---------------- */
+
+const requestOTPSchema = {
+  body: {
+    email,
+    purpose,
+    ccatFormNo,
+    username: {
+      ...username,
+      requiredWhen: (body) => body.purpose === OTP_PURPOSES.PASSWORD_RESET,
+    },
+  },
+};
+
+const verifyOTPSchema = {
+  body: {
+    ...requestOTPSchema.body,
+    otp: { ...sixDigitCode("OTP"), required: true },
+  },
+};
+
+/* ---------------- Tokens ---------------- */
+
+const refreshTokenSchema = {
+  body: {
+    refreshToken: { ...refreshToken, required: true },
+  },
+};
+
+const logoutTokenSchema = {
+  body: {
+    refreshToken,
+  },
+};
+
+/* ---------------- Staff auth ---------------- */
+
+const loginSchema = {
+  body: {
+    username: { ...username, required: true },
+    password: password("Password"),
+  },
+};
+
+const changePasswordSchema = {
+  body: {
+    currentPassword: password("Current password"),
+    newPassword: password("New password"),
+  },
+};
+
+const passwordResetSchema = {
+  body: {
+    resetToken: {
+      type: "string",
+      maxLength: 1024,
+      pattern: /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/,
+      patternMessage: "Reset token is malformed",
+      required: true,
+      label: "Reset token",
+    },
+    newPassword: password("New password"),
+  },
+};
+
+const twoFactorCodeSchema = {
+  body: {
+    code: { ...sixDigitCode("Verification code"), required: true },
+  },
+};
+
+const twoFactorVerifySchema = {
+  body: {
+    code: {
+      ...sixDigitCode("Verification code"),
+      requiredWhen: (body) => !body.recoveryCode,
+    },
+    recoveryCode: {
+      type: "string",
+      pattern: /^[A-Fa-f0-9]{5}-?[A-Fa-f0-9]{5}$/,
+      patternMessage: "Recovery code is malformed",
+      label: "Recovery code",
+    },
+  },
+};
+
+const userIdParamsSchema = {
+  params: {
+    userId: { type: "integer", minimum: 1, required: true, label: "User ID" },
+  },
+};
+
+const sessionIdParamsSchema = {
+  params: {
+    sessionId: {
+      type: "string",
+      pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+      patternMessage: "Session ID is malformed",
+      lowercase: true,
+      required: true,
+      label: "Session ID",
+    },
+  },
+};
+
+/* ---------------- Files ---------------- */
+
+const fetchFileSchema = {
+  query: {
+    token: {
+      type: "string",
+      maxLength: 2048,
+      pattern: /^v1\.[A-Za-z0-9_-]{1,32}\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/,
+      patternMessage: "File link is malformed",
+      required: true,
+      label: "File link",
+    },
+  },
+};
+
+const singleUse = { type: "boolean", default: false, label: "Single-use links" };
+
+const documentListSchema = {
+  query: { singleUse },
+};
+
+const applicantDocumentsSchema = {
+  params: {
+    ccatFormNo: { ...ccatFormNo, requiredWhen: undefined, required: true },
+  },
+  query: { singleUse },
+};
+
+/* ---------------- Admin ---------------- */
+
+const templatePreviewSchema = {
+  params: {
+    templateName: { type: "string", pattern: /^[a-z-]{1,50}$/, required: true, label: "Template name" },
+  },
+  query: {
+    language: { type: "string", enum: ["en", "hi"], default: "en", label: "Language" },
+    purpose: { type: "string", enum: Object.values(OTP_PURPOSES), label: "Purpose" },
+    format: { type: "string", enum: ["json", "html"], default: "json", label: "Format" },
+  },
+};
+
+const auditFilterFields = {
+  eventType: { type: "string", enum: Object.values(AUDIT_EVENTS), label: "Event type" },
+  outcome: { type: "string", enum: Object.values(OUTCOMES), label: "Outcome" },
+  principalId: { type: "string", maxLength: 64, label: "Principal ID" },
+  ipAddress: { type: "string", maxLength: 45, label: "IP address" },
+  resource: { type: "string", maxLength: 255, label: "Resource" },
+  from: { type: "string", format: "date-time", label: "From" },
+  to: { type: "string", format: "date-time", label: "To" },
+};
+
+const auditQuerySchema = {
+  query: {
+    ...auditFilterFields,
+    page: { type: "integer", minimum: 1, default: 1, label: "Page" },
+    pageSize: { type: "integer", minimum: 1, maximum: 100, default: 25, label: "Page size" },
+  },
+};
+
+const auditExportSchema = {
+  query: auditFilterFields,
+};
+
+module.exports = {
+  requestOTPSchema,
+  verifyOTPSchema,
+  refreshTokenSchema,
+  logoutTokenSchema,
+  loginSchema,
+  changePasswordSchema,
+  passwordResetSchema,
+  twoFactorCodeSchema,
+  twoFactorVerifySchema,
+  userIdParamsSchema,
+  sessionIdParamsSchema,
+  fetchFileSchema,
+  documentListSchema,
+  applicantDocumentsSchema,
+  templatePreviewSchema,
+  auditQuerySchema,
+  auditExportSchema,
+};